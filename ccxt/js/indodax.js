@@ -3,7 +3,12 @@
 //  ---------------------------------------------------------------------------
 
 const Exchange = require('./base/Exchange');
-const { ExchangeError, ArgumentsRequired, InsufficientFunds, InvalidOrder, OrderNotFound, AuthenticationError } = require('./base/errors');
+const { TICK_SIZE, TRUNCATE, DECIMAL_PLACES } = require('./base/functions/number');
+const IndodaxWs = require('./indodax/ws');
+const LocalOrderBook = require('./indodax/orderbook');
+const StopEngine = require('./indodax/stops');
+const Execution = require('./indodax/execution');
+const { ExchangeError, ArgumentsRequired, InsufficientFunds, InvalidOrder, OrderNotFound, AuthenticationError, NetworkError, InvalidNonce, OnMaintenance, BadRequest } = require('./base/errors');
 
 const functions = require('./base/functions')
 const {
@@ -40,14 +45,23 @@ module.exports = class indodax extends Exchange {
             'countries': ['ID'], // Indonesia
             'has': {
                 'CORS': true,
-                'createMarketOrder': false,
-                'fetchTickers': false,
+                'createMarketOrder': true,
+                'fetchTime': true,
+                'fetchStatus': true,
+                'fetchTickers': true,
+                'fetchOHLCV': true,
+                'watchTicker': true,
+                'watchTrades': true,
+                'watchOrderBook': true,
                 'fetchOrder': true,
-                'fetchOrders': false,
+                'fetchOrders': true,
+                'cancelAllOrders': true,
+                'fetchCanceledOrders': true,
                 'fetchClosedOrders': true,
                 'fetchOpenOrders': true,
-                'fetchMyTrades': false,
-                'fetchCurrencies': false,
+                'fetchMyTrades': true,
+                'fetchCurrencies': true,
+                'fetchFundingFees': true,
                 'withdraw': true,
             },
             'version': '1.8', // as of 9 April 2018
@@ -56,19 +70,38 @@ module.exports = class indodax extends Exchange {
                 'api': {
                     'public': 'https://indodax.com/api',
                     'private': 'https://indodax.com/tapi',
+                    'tradingview': 'https://indodax.com/tradingview',
                 },
                 'www': 'https://www.indodax.com',
                 'doc': 'https://indodax.com/downloads/BITCOINCOID-API-DOCUMENTATION.pdf'
             },
+            'timeframes': {
+                '1m': '1',
+                '15m': '15',
+                '30m': '30',
+                '1h': '60',
+                '4h': '240',
+                '1d': '1D',
+                '1w': '1W',
+            },
             // 'proxy': 'http://localhost:5000/',
             'api': {
                 'public': {
                     'get': [
+                        'server_time',
+                        'pairs',
+                        'price_increments',
+                        'summaries',
                         '{pair}/ticker',
                         '{pair}/trades',
                         '{pair}/depth',
                     ],
                 },
+                'tradingview': {
+                    'get': [
+                        'history',
+                    ],
+                },
                 'private': {
                     'post': [
                         'getInfo',
@@ -76,55 +109,115 @@ module.exports = class indodax extends Exchange {
                         'trade',
                         'tradeHistory',
                         'getOrder',
+                        'getOrderByClientOrderId',
                         'openOrders',
                         'cancelOrder',
+                        'cancelByClientOrderId',
                         'orderHistory',
                         'withdrawCoin',
+                        'withdrawFee',
                     ],
                 },
             },
-            'markets': {
-                // HARDCODING IS DEPRECATED
-                // but they don't have a corresponding endpoint in their API
-                'BTC/IDR': { 'id': 'btc_idr', 'symbol': 'BTC/IDR', 'base': 'BTC', 'quote': 'IDR', 'baseId': 'btc', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.0001, 'max': undefined } } },
-                'BSV/IDR': { 'id': 'bchsv_idr', 'symbol': 'BSV/IDR', 'base': 'BSV', 'quote': 'IDR', 'baseId': 'bchsv', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
-                'ACT/IDR': { 'id': 'act_idr', 'symbol': 'ACT/IDR', 'base': 'ACT', 'quote': 'IDR', 'baseId': 'act', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
-                'AOA/IDR': { 'id': 'aoa_idr', 'symbol': 'AOA/IDR', 'base': 'AOA', 'quote': 'IDR', 'baseId': 'aoa', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
-                'ADA/IDR': { 'id': 'ada_idr', 'symbol': 'ADA/IDR', 'base': 'ADA', 'quote': 'IDR', 'baseId': 'ada', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
-                'BCD/IDR': { 'id': 'bcd_idr', 'symbol': 'BCD/IDR', 'base': 'BCD', 'quote': 'IDR', 'baseId': 'bcd', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
-                'BCH/IDR': { 'id': 'bchabc_idr', 'symbol': 'BCH/IDR', 'base': 'BCHABC', 'quote': 'IDR', 'baseId': 'bchabc', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.001, 'max': undefined } } },
-                'BTG/IDR': { 'id': 'btg_idr', 'symbol': 'BTG/IDR', 'base': 'BTG', 'quote': 'IDR', 'baseId': 'btg', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                'BTS/IDR': { 'id': 'bts_idr', 'symbol': 'BTS/IDR', 'base': 'BTS', 'quote': 'IDR', 'baseId': 'bts', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                'COAL/IDR': { 'id': 'coal_idr', 'symbol': 'COAL/IDR', 'base': 'COAL', 'quote': 'IDR', 'baseId': 'coal', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                'DASH/IDR': { 'id': 'drk_idr', 'symbol': 'DASH/IDR', 'base': 'DASH', 'quote': 'IDR', 'baseId': 'drk', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                'DOGE/IDR': { 'id': 'doge_idr', 'symbol': 'DOGE/IDR', 'base': 'DOGE', 'quote': 'IDR', 'baseId': 'doge', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 1000, 'max': undefined } } },
-                'ETH/IDR': { 'id': 'eth_idr', 'symbol': 'ETH/IDR', 'base': 'ETH', 'quote': 'IDR', 'baseId': 'eth', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                'ETC/IDR': { 'id': 'etc_idr', 'symbol': 'ETC/IDR', 'base': 'ETC', 'quote': 'IDR', 'baseId': 'etc', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.1, 'max': undefined } } },
-                'GSC/IDR': { 'id': 'gsc_idr', 'symbol': 'GSC/IDR', 'base': 'GSC', 'quote': 'IDR', 'baseId': 'gsc', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.1, 'max': undefined } } },
-                'HPB/IDR': { 'id': 'hpb_idr', 'symbol': 'HPB/IDR', 'base': 'HPB', 'quote': 'IDR', 'baseId': 'hpb', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.1, 'max': undefined } } },
-                'IGNIS/IDR': { 'id': 'ignis_idr', 'symbol': 'IGNIS/IDR', 'base': 'IGNIS', 'quote': 'IDR', 'baseId': 'ignis', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 1, 'max': undefined } } },
-                'LTC/IDR': { 'id': 'ltc_idr', 'symbol': 'LTC/IDR', 'base': 'LTC', 'quote': 'IDR', 'baseId': 'ltc', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                //'NPXS/IDR': { 'id': 'npxs_idr', 'symbol': 'NPXS/IDR', 'base': 'NPXS', 'quote': 'IDR', 'baseId': 'npxs', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 1, 'max': undefined } } },
-                'NXT/IDR': { 'id': 'nxt_idr', 'symbol': 'NXT/IDR', 'base': 'NXT', 'quote': 'IDR', 'baseId': 'nxt', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 5, 'max': undefined } } },
-                'OKB/IDR': { 'id': 'okb_idr', 'symbol': 'OKB/IDR', 'base': 'OKB', 'quote': 'IDR', 'baseId': 'okb', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
-                'TEN/IDR': { 'id': 'ten_idr', 'symbol': 'TEN/IDR', 'base': 'TEN', 'quote': 'IDR', 'baseId': 'ten', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 5, 'max': undefined } } },
-                'TRX/IDR': { 'id': 'trx_idr', 'symbol': 'TRX/IDR', 'base': 'TRX', 'quote': 'IDR', 'baseId': 'trx', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
-                'WAVES/IDR': { 'id': 'waves_idr', 'symbol': 'WAVES/IDR', 'base': 'WAVES', 'quote': 'idr', 'baseId': 'waves', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.1, 'max': undefined } } },
-                'XEM/IDR': { 'id': 'nem_idr', 'symbol': 'XEM/IDR', 'base': 'XEM', 'quote': 'IDR', 'baseId': 'nem', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 1, 'max': undefined } } },
-                'XLM/IDR': { 'id': 'str_idr', 'symbol': 'XLM/IDR', 'base': 'XLM', 'quote': 'IDR', 'baseId': 'str', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 20, 'max': undefined } } },
-                'XRP/IDR': { 'id': 'xrp_idr', 'symbol': 'XRP/IDR', 'base': 'XRP', 'quote': 'IDR', 'baseId': 'xrp', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 10, 'max': undefined } } },
-                'XZC/IDR': { 'id': 'xzc_idr', 'symbol': 'XZC/IDR', 'base': 'XZC', 'quote': 'IDR', 'baseId': 'xzc', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 0 }, 'limits': { 'amount': { 'min': 0.1, 'max': undefined } } },
-                // 'BTS/btc': { 'id': 'bts_btc', 'symbol': 'BTS/btc', 'base': 'BTS', 'quote': 'IDR', 'baseId': 'bts', 'quoteId': 'btc', 'precision': { 'amount': 8, 'price': 8 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                // 'DASH/btc': { 'id': 'drk_btc', 'symbol': 'DASH/btc', 'base': 'DASH', 'quote': 'btc', 'baseId': 'drk', 'quoteId': 'btc', 'precision': { 'amount': 8, 'price': 6 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                // 'DOGE/btc': { 'id': 'doge_btc', 'symbol': 'DOGE/btc', 'base': 'DOGE', 'quote': 'btc', 'baseId': 'doge', 'quoteId': 'btc', 'precision': { 'amount': 8, 'price': 8 }, 'limits': { 'amount': { 'min': 1, 'max': undefined } } },
-                // 'ETH/btc': { 'id': 'eth_btc', 'symbol': 'ETH/btc', 'base': 'ETH', 'quote': 'btc', 'baseId': 'eth', 'quoteId': 'btc', 'precision': { 'amount': 8, 'price': 5 }, 'limits': { 'amount': { 'min': 0.001, 'max': undefined } } },
-                // 'LTC/btc': { 'id': 'ltc_btc', 'symbol': 'LTC/btc', 'base': 'LTC', 'quote': 'btc', 'baseId': 'ltc', 'quoteId': 'btc', 'precision': { 'amount': 8, 'price': 6 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                // 'NXT/btc': { 'id': 'nxt_btc', 'symbol': 'NXT/btc', 'base': 'NXT', 'quote': 'btc', 'baseId': 'nxt', 'quoteId': 'btc', 'precision': { 'amount': 8, 'price': 8 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                // 'TEN/btc': { 'id': 'ten_btc', 'symbol': 'TEN/btc', 'base': 'TEN', 'quote': 'btc', 'baseId': 'ten', 'quoteId': 'btc', 'precision': { 'amount': 8, 'price': 8 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                // 'XEM/btc': { 'id': 'nem_btc', 'symbol': 'XEM/btc', 'base': 'XEM', 'quote': 'btc', 'baseId': 'nem', 'quoteId': 'btc', 'precision': { 'amount': 8, 'price': 8 }, 'limits': { 'amount': { 'min': 1, 'max': undefined } } },
-                // 'XLM/btc': { 'id': 'str_btc', 'symbol': 'XLM/btc', 'base': 'XLM', 'quote': 'btc', 'baseId': 'str', 'quoteId': 'btc', 'precision': { 'amount': 8, 'price': 8 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                // 'XRP/btc': { 'id': 'xrp_btc', 'symbol': 'XRP/btc', 'base': 'XRP', 'quote': 'btc', 'baseId': 'xrp', 'quoteId': 'btc', 'precision': { 'amount': 8, 'price': 8 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
-                'SUMO/IDR': { 'id': 'sumo_idr', 'symbol': 'SUMO/IDR', 'base': 'SUMO', 'quote': 'idr', 'baseId': 'sumo', 'quoteId': 'idr', 'precision': { 'amount': 8, 'price': 8 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+            'precisionMode': TICK_SIZE,
+            'commonCurrencies': {
+                'STR': 'XLM',
+                'NEM': 'XEM',
+            },
+            'options': {
+                // fallback used by fetchMarkets when the pairs endpoint is unreachable
+                'fetchMarketsFallback': true,
+                'fetchOHLCVLimit': 500,
+                'fetchTickerOpen': true, // fetchTicker spends a second request on the summaries for the 24h open, false leaves open and change undefined
+                'fetchTradesMaxPages': 10,
+                'fetchMyTradesCount': 1000, // the largest page tradeHistory returns
+                'fetchMyTradesMaxPages': 100,
+                'findOrderSymbols': undefined, // the pairs fetchOrder without a symbol tries, one request each, all of them by default
+                'marketOrderType': 'native', // or 'emulated', an aggressive limit order priced from the order book
+                'marketOrderSlippage': 0.01, // how far past the best price an emulated market order may fill
+                'validateOrders': true, // check orders against the market rules before sending them
+                'validateBalance': true, // and against the free balance, fetched every balanceCacheTtl ms and kept up to date in between
+                'balanceCacheTtl': 10000,
+                'minOrderValue': { 'IDR': 10000 }, // for markets that do not say, the exchange rejects orders below that
+                'timeDifference': 0, // the difference between system clock and Indodax clock, in milliseconds
+                'adjustForTimeDifference': false, // measure the difference once when the markets are loaded
+                // minimum withdrawal amounts by currency code, Indodax does not publish these through the API,
+                // the defaults are from its fee schedule of 2020 and may be out of date
+                'withdrawMinimums': {
+                    'BTC': 0.001,
+                    'BCH': 0.002,
+                    'BSV': 0.002,
+                    'BTG': 0.01,
+                    'DASH': 0.01,
+                    'DOGE': 50,
+                    'ETH': 0.01,
+                    'ETC': 0.05,
+                    'LTC': 0.01,
+                    'ADA': 5,
+                    'TRX': 10,
+                    'USDT': 10,
+                    'WAVES': 0.01,
+                    'XEM': 5,
+                    'XLM': 1,
+                    'XRP': 20,
+                    'XZC': 0.05,
+                },
+                'ws': {
+                    'url': 'wss://ws3.indodax.com/ws/',
+                    'token': undefined, // the public token from the Indodax market data websocket docs
+                    'WebSocket': undefined, // defaults to the global WebSocket or the ws package
+                    'reconnectDelay': 1000, // doubled on every failed attempt
+                    'maxReconnectDelay': 30000,
+                    'pingInterval': 25000,
+                },
+                'stops': {
+                    'file': undefined, // the journal of the conditional orders that survives restarts, Node.js only, one of these is required
+                    'storage': undefined, // or anything with load () and save (state)
+                    'feed': 'polling', // fetchTickers every pollInterval, or 'websocket' for watchTicker
+                    'pollInterval': 5000,
+                },
+                'markets': {
+                    'BTC/IDR': { 'id': 'btc_idr', 'symbol': 'BTC/IDR', 'base': 'BTC', 'quote': 'IDR', 'baseId': 'btc', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1000 }, 'limits': { 'amount': { 'min': 0.0001, 'max': undefined } } },
+                    'BSV/IDR': { 'id': 'bchsv_idr', 'symbol': 'BSV/IDR', 'base': 'BSV', 'quote': 'IDR', 'baseId': 'bchsv', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
+                    'ACT/IDR': { 'id': 'act_idr', 'symbol': 'ACT/IDR', 'base': 'ACT', 'quote': 'IDR', 'baseId': 'act', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
+                    'AOA/IDR': { 'id': 'aoa_idr', 'symbol': 'AOA/IDR', 'base': 'AOA', 'quote': 'IDR', 'baseId': 'aoa', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
+                    'ADA/IDR': { 'id': 'ada_idr', 'symbol': 'ADA/IDR', 'base': 'ADA', 'quote': 'IDR', 'baseId': 'ada', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
+                    'BCD/IDR': { 'id': 'bcd_idr', 'symbol': 'BCD/IDR', 'base': 'BCD', 'quote': 'IDR', 'baseId': 'bcd', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
+                    'BCH/IDR': { 'id': 'bchabc_idr', 'symbol': 'BCH/IDR', 'base': 'BCH', 'quote': 'IDR', 'baseId': 'bchabc', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.001, 'max': undefined } } },
+                    'BTG/IDR': { 'id': 'btg_idr', 'symbol': 'BTG/IDR', 'base': 'BTG', 'quote': 'IDR', 'baseId': 'btg', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'BTS/IDR': { 'id': 'bts_idr', 'symbol': 'BTS/IDR', 'base': 'BTS', 'quote': 'IDR', 'baseId': 'bts', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'COAL/IDR': { 'id': 'coal_idr', 'symbol': 'COAL/IDR', 'base': 'COAL', 'quote': 'IDR', 'baseId': 'coal', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'DASH/IDR': { 'id': 'drk_idr', 'symbol': 'DASH/IDR', 'base': 'DASH', 'quote': 'IDR', 'baseId': 'drk', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'DOGE/IDR': { 'id': 'doge_idr', 'symbol': 'DOGE/IDR', 'base': 'DOGE', 'quote': 'IDR', 'baseId': 'doge', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 1000, 'max': undefined } } },
+                    'ETH/IDR': { 'id': 'eth_idr', 'symbol': 'ETH/IDR', 'base': 'ETH', 'quote': 'IDR', 'baseId': 'eth', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'ETC/IDR': { 'id': 'etc_idr', 'symbol': 'ETC/IDR', 'base': 'ETC', 'quote': 'IDR', 'baseId': 'etc', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.1, 'max': undefined } } },
+                    'GSC/IDR': { 'id': 'gsc_idr', 'symbol': 'GSC/IDR', 'base': 'GSC', 'quote': 'IDR', 'baseId': 'gsc', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.1, 'max': undefined } } },
+                    'HPB/IDR': { 'id': 'hpb_idr', 'symbol': 'HPB/IDR', 'base': 'HPB', 'quote': 'IDR', 'baseId': 'hpb', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.1, 'max': undefined } } },
+                    'IGNIS/IDR': { 'id': 'ignis_idr', 'symbol': 'IGNIS/IDR', 'base': 'IGNIS', 'quote': 'IDR', 'baseId': 'ignis', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 1, 'max': undefined } } },
+                    'LTC/IDR': { 'id': 'ltc_idr', 'symbol': 'LTC/IDR', 'base': 'LTC', 'quote': 'IDR', 'baseId': 'ltc', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    //'NPXS/IDR': { 'id': 'npxs_idr', 'symbol': 'NPXS/IDR', 'base': 'NPXS', 'quote': 'IDR', 'baseId': 'npxs', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 1, 'max': undefined } } },
+                    'NXT/IDR': { 'id': 'nxt_idr', 'symbol': 'NXT/IDR', 'base': 'NXT', 'quote': 'IDR', 'baseId': 'nxt', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 5, 'max': undefined } } },
+                    'OKB/IDR': { 'id': 'okb_idr', 'symbol': 'OKB/IDR', 'base': 'OKB', 'quote': 'IDR', 'baseId': 'okb', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
+                    'TEN/IDR': { 'id': 'ten_idr', 'symbol': 'TEN/IDR', 'base': 'TEN', 'quote': 'IDR', 'baseId': 'ten', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 5, 'max': undefined } } },
+                    'USDT/IDR': { 'id': 'usdt_idr', 'symbol': 'USDT/IDR', 'base': 'USDT', 'quote': 'IDR', 'baseId': 'usdt', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
+                    'TRX/IDR': { 'id': 'trx_idr', 'symbol': 'TRX/IDR', 'base': 'TRX', 'quote': 'IDR', 'baseId': 'trx', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': undefined, 'max': undefined } } },
+                    'WAVES/IDR': { 'id': 'waves_idr', 'symbol': 'WAVES/IDR', 'base': 'WAVES', 'quote': 'IDR', 'baseId': 'waves', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.1, 'max': undefined } } },
+                    'XEM/IDR': { 'id': 'nem_idr', 'symbol': 'XEM/IDR', 'base': 'XEM', 'quote': 'IDR', 'baseId': 'nem', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 1, 'max': undefined } } },
+                    'XLM/IDR': { 'id': 'str_idr', 'symbol': 'XLM/IDR', 'base': 'XLM', 'quote': 'IDR', 'baseId': 'str', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 20, 'max': undefined } } },
+                    'XRP/IDR': { 'id': 'xrp_idr', 'symbol': 'XRP/IDR', 'base': 'XRP', 'quote': 'IDR', 'baseId': 'xrp', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 10, 'max': undefined } } },
+                    'XZC/IDR': { 'id': 'xzc_idr', 'symbol': 'XZC/IDR', 'base': 'XZC', 'quote': 'IDR', 'baseId': 'xzc', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.1, 'max': undefined } } },
+                    'BTS/BTC': { 'id': 'bts_btc', 'symbol': 'BTS/BTC', 'base': 'BTS', 'quote': 'BTC', 'baseId': 'bts', 'quoteId': 'btc', 'precision': { 'amount': 0.00000001, 'price': 0.00000001 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'DASH/BTC': { 'id': 'drk_btc', 'symbol': 'DASH/BTC', 'base': 'DASH', 'quote': 'BTC', 'baseId': 'drk', 'quoteId': 'btc', 'precision': { 'amount': 0.00000001, 'price': 0.000001 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'DOGE/BTC': { 'id': 'doge_btc', 'symbol': 'DOGE/BTC', 'base': 'DOGE', 'quote': 'BTC', 'baseId': 'doge', 'quoteId': 'btc', 'precision': { 'amount': 0.00000001, 'price': 0.00000001 }, 'limits': { 'amount': { 'min': 1, 'max': undefined } } },
+                    'ETH/BTC': { 'id': 'eth_btc', 'symbol': 'ETH/BTC', 'base': 'ETH', 'quote': 'BTC', 'baseId': 'eth', 'quoteId': 'btc', 'precision': { 'amount': 0.00000001, 'price': 0.00001 }, 'limits': { 'amount': { 'min': 0.001, 'max': undefined } } },
+                    'LTC/BTC': { 'id': 'ltc_btc', 'symbol': 'LTC/BTC', 'base': 'LTC', 'quote': 'BTC', 'baseId': 'ltc', 'quoteId': 'btc', 'precision': { 'amount': 0.00000001, 'price': 0.000001 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'NXT/BTC': { 'id': 'nxt_btc', 'symbol': 'NXT/BTC', 'base': 'NXT', 'quote': 'BTC', 'baseId': 'nxt', 'quoteId': 'btc', 'precision': { 'amount': 0.00000001, 'price': 0.00000001 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'TEN/BTC': { 'id': 'ten_btc', 'symbol': 'TEN/BTC', 'base': 'TEN', 'quote': 'BTC', 'baseId': 'ten', 'quoteId': 'btc', 'precision': { 'amount': 0.00000001, 'price': 0.00000001 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'XEM/BTC': { 'id': 'nem_btc', 'symbol': 'XEM/BTC', 'base': 'XEM', 'quote': 'BTC', 'baseId': 'nem', 'quoteId': 'btc', 'precision': { 'amount': 0.00000001, 'price': 0.00000001 }, 'limits': { 'amount': { 'min': 1, 'max': undefined } } },
+                    'XLM/BTC': { 'id': 'str_btc', 'symbol': 'XLM/BTC', 'base': 'XLM', 'quote': 'BTC', 'baseId': 'str', 'quoteId': 'btc', 'precision': { 'amount': 0.00000001, 'price': 0.00000001 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'XRP/BTC': { 'id': 'xrp_btc', 'symbol': 'XRP/BTC', 'base': 'XRP', 'quote': 'BTC', 'baseId': 'xrp', 'quoteId': 'btc', 'precision': { 'amount': 0.00000001, 'price': 0.00000001 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                    'SUMO/IDR': { 'id': 'sumo_idr', 'symbol': 'SUMO/IDR', 'base': 'SUMO', 'quote': 'IDR', 'baseId': 'sumo', 'quoteId': 'idr', 'precision': { 'amount': 0.00000001, 'price': 1 }, 'limits': { 'amount': { 'min': 0.01, 'max': undefined } } },
+                },
             },
             'fees': {
                 'trading': {
@@ -133,17 +226,314 @@ module.exports = class indodax extends Exchange {
                     'maker': 0.00,
                     'taker': 0.003,
                 },
+                'funding': {
+                    // from the fee schedule of 2020 like the minimums above, fetchFundingFees loads the current ones
+                    'withdraw': {
+                        'BTC': 0.0005,
+                        'BCH': 0.001,
+                        'BSV': 0.001,
+                        'BTG': 0.001,
+                        'DASH': 0.002,
+                        'DOGE': 5,
+                        'ETH': 0.005,
+                        'ETC': 0.01,
+                        'LTC': 0.001,
+                        'ADA': 1,
+                        'TRX': 1,
+                        'USDT': 5,
+                        'WAVES': 0.002,
+                        'XEM': 1,
+                        'XLM': 0.01,
+                        'XRP': 0.1,
+                        'XZC': 0.01,
+                    },
+                },
             },
         });
     }
 
+    nonce () {
+        // in milliseconds and strictly increasing, the exchange rejects a nonce it has seen
+        // and back to back private calls, e.g. getInfo before a trade, would share a second
+        const nonce = this.milliseconds() - this.options['timeDifference'];
+        this.lastNonce = ((this.lastNonce === undefined) || (nonce > this.lastNonce)) ? nonce : (this.lastNonce + 1);
+        return this.lastNonce;
+    }
+
+    async fetchTime (params = {}) {
+        const response = await this.publicGetServerTime(params);
+        //
+        //     {
+        //         "timezone": "UTC",
+        //         "server_time": 1571205969552
+        //     }
+        //
+        return this.safeInteger(response, 'server_time');
+    }
+
+    async loadTimeDifference () {
+        const before = this.milliseconds();
+        const serverTime = await this.fetchTime();
+        const after = this.milliseconds();
+        // assume the server stamped the reply halfway through the round trip
+        this.options['timeDifference'] = parseInt((before + after) / 2 - serverTime);
+        return this.options['timeDifference'];
+    }
+
+    async fetchStatus (params = {}) {
+        let status = 'ok';
+        try {
+            await this.loadTimeDifference();
+        } catch (e) {
+            if (e instanceof OnMaintenance) {
+                status = 'maintenance';
+            } else if (e instanceof NetworkError) {
+                status = 'error';
+            } else {
+                throw e;
+            }
+        }
+        this.status = this.extend(this.status, {
+            'status': status,
+            'updated': this.milliseconds(),
+        });
+        return this.status;
+    }
+
+    async fetchMarkets (params = {}) {
+        let response = this.loadedPairs;
+        let increments = undefined;
+        this.loadedPairs = undefined;
+        try {
+            if (this.options['adjustForTimeDifference']) {
+                await this.loadTimeDifference();
+            }
+            if (response === undefined) {
+                response = await this.publicGetPairs(params);
+            }
+            increments = await this.fetchPriceIncrements();
+        } catch (e) {
+            // keep working from the bundled table while offline
+            if ((e instanceof NetworkError) && this.options['fetchMarketsFallback']) {
+                return Object.values(this.options['markets']);
+            }
+            throw e;
+        }
+        //
+        //     [
+        //         {
+        //             "id": "btcidr",
+        //             "symbol": "BTCIDR",
+        //             "base_currency": "idr",
+        //             "traded_currency": "btc",
+        //             "traded_currency_unit": "BTC",
+        //             "description": "BTC/IDR",
+        //             "ticker_id": "btc_idr",
+        //             "volume_precision": 0,
+        //             "price_precision": 1000,
+        //             "price_round": 8,
+        //             "pricescale": 1000,
+        //             "trade_min_base_currency": 10000,
+        //             "trade_min_traded_currency": 0.00007457,
+        //             "has_memo": false,
+        //             "memo_name": false,
+        //             "trade_fee_percent": 0.3,
+        //             "is_maintenance": 0,
+        //             "is_market_suspended": 0
+        //         }
+        //     ]
+        //
+        const result = [];
+        for (let i = 0; i < response.length; i++) {
+            const market = response[i];
+            const id = this.safeString(market, 'ticker_id');
+            const baseId = this.safeString(market, 'traded_currency');
+            const quoteId = this.safeString(market, 'base_currency');
+            const base = this.safeCurrencyCode(baseId);
+            const quote = this.safeCurrencyCode(quoteId);
+            const symbol = base + '/' + quote;
+            const maintenance = this.safeInteger(market, 'is_maintenance', 0);
+            const suspended = this.safeInteger(market, 'is_market_suspended', 0);
+            const priceRound = this.safeInteger(market, 'price_round', 8);
+            const precision = {
+                'amount': 0.00000001,
+                'price': this.safeFloat(increments, id, (quoteId === 'idr') ? 1 : Math.pow(10, -priceRound)),
+            };
+            const fee = this.safeFloat(market, 'trade_fee_percent');
+            result.push({
+                'id': id,
+                'symbol': symbol,
+                'base': base,
+                'quote': quote,
+                'baseId': baseId,
+                'quoteId': quoteId,
+                'active': (maintenance === 0) && (suspended === 0),
+                'taker': (fee !== undefined) ? fee / 100 : this.fees['trading']['taker'],
+                'precision': precision,
+                'limits': {
+                    'amount': {
+                        'min': this.safeFloat(market, 'trade_min_traded_currency'),
+                        'max': undefined,
+                    },
+                    'price': {
+                        'min': precision['price'],
+                        'max': undefined,
+                    },
+                    'cost': {
+                        'min': this.safeFloat(market, 'trade_min_base_currency'),
+                        'max': undefined,
+                    },
+                },
+                'info': market,
+            });
+        }
+        return result;
+    }
+
+    async fetchCurrencies (params = {}) {
+        let response = undefined;
+        try {
+            response = await this.publicGetPairs(params);
+        } catch (e) {
+            // the currencies of the bundled markets, with the bundled fees and minimums
+            if ((e instanceof NetworkError) && this.options['fetchMarketsFallback']) {
+                const markets = Object.values(this.options['markets']);
+                const unknown = { 'active': undefined, 'deposit': undefined, 'withdraw': undefined };
+                const currencies = {};
+                for (let i = 0; i < markets.length; i++) {
+                    const market = markets[i];
+                    currencies[market['base']] = this.extend(this.parseCurrency({ 'id': market['baseId'] }, market['base']), unknown);
+                    currencies[market['quote']] = this.extend(this.parseCurrency({ 'id': market['quoteId'] }, market['quote']), unknown);
+                }
+                return currencies;
+            }
+            throw e;
+        }
+        // loadMarkets calls fetchMarkets right after, which takes these instead of downloading them again
+        this.loadedPairs = response;
+        const result = {};
+        for (let i = 0; i < response.length; i++) {
+            const pair = response[i];
+            const quoteId = this.safeString(pair, 'base_currency');
+            const quote = this.safeCurrencyCode(quoteId);
+            if (!(quote in result)) {
+                result[quote] = this.parseCurrency({ 'id': quoteId }, quote);
+            }
+            const baseId = this.safeString(pair, 'traded_currency');
+            const base = this.safeCurrencyCode(baseId);
+            const currency = this.parseCurrency(this.extend(pair, { 'id': baseId }), base);
+            // a coin listed against several quotes is only usable if every pair is up
+            if ((base in result) && !result[base]['active']) {
+                currency['active'] = false;
+                currency['deposit'] = false;
+                currency['withdraw'] = false;
+            }
+            result[base] = currency;
+        }
+        return result;
+    }
+
+    parseCurrency (pair, code) {
+        //
+        // the traded currency side of a pairs entry, see fetchMarkets
+        //
+        //     {
+        //         "traded_currency": "xrp",
+        //         "traded_currency_unit": "XRP",
+        //         "has_memo": true,
+        //         "memo_name": "Destination Tag",
+        //         "is_maintenance": 0,
+        //         ...
+        //     }
+        //
+        const maintenance = this.safeInteger(pair, 'is_maintenance', 0);
+        const active = (maintenance === 0);
+        let memo = this.safeValue(pair, 'has_memo', false);
+        if (memo === true) {
+            memo = this.safeString(pair, 'memo_name', 'memo');
+        }
+        return {
+            'id': this.safeString(pair, 'id'),
+            'code': code,
+            'info': pair,
+            'name': this.safeString(pair, 'traded_currency_unit', code),
+            'active': active,
+            'deposit': active,
+            'withdraw': active,
+            'memo': memo, // the name of the memo/tag field if withdrawals need one, false otherwise
+            'fee': this.safeFloat(this.fees['funding']['withdraw'], code),
+            'precision': (code === 'IDR') ? 1 : 0.00000001,
+            'limits': {
+                'amount': { 'min': undefined, 'max': undefined },
+                'price': { 'min': undefined, 'max': undefined },
+                'cost': { 'min': undefined, 'max': undefined },
+                'withdraw': {
+                    'min': this.safeFloat(this.options['withdrawMinimums'], code),
+                    'max': undefined,
+                },
+            },
+        };
+    }
+
+    async fetchFundingFees (codes = undefined, params = {}) {
+        // one private request per currency, pass codes = [ 'BTC', 'ETH' ] to load only those
+        await this.loadMarkets();
+        if (codes === undefined) {
+            codes = Object.keys(this.currencies).filter((code) => code !== 'IDR');
+        }
+        // all of them are well past the rate limit of a minute without the throttle
+        if (!this.enableRateLimit && (codes.length > 1))
+            throw new ArgumentsRequired(this.id + ' fetchFundingFees() requires a single currency code, or enableRateLimit = true to load several');
+        const withdrawFees = {};
+        const info = {};
+        for (let i = 0; i < codes.length; i++) {
+            const code = codes[i];
+            const currency = this.currency(code);
+            const response = await this.privatePostWithdrawFee(this.extend({
+                'currency': currency['id'],
+            }, params));
+            //
+            //     {
+            //         "success": 1,
+            //         "return": {
+            //             "server_time": 1607923272,
+            //             "withdraw_fee": 0.005,
+            //             "currency": "eth"
+            //         }
+            //     }
+            //
+            info[code] = response;
+            withdrawFees[code] = this.safeFloat(response['return'], 'withdraw_fee');
+            this.fees['funding']['withdraw'][code] = withdrawFees[code];
+            this.currencies[code]['fee'] = withdrawFees[code];
+        }
+        return {
+            'info': info,
+            'withdraw': withdrawFees,
+            'deposit': {},
+        };
+    }
+
+    async fetchPriceIncrements (params = {}) {
+        const response = await this.publicGetPriceIncrements(params);
+        //
+        //     {
+        //         "increments": {
+        //             "btc_idr": "1000",
+        //             "ten_idr": "1",
+        //             "eth_btc": "0.00001000"
+        //         }
+        //     }
+        //
+        return this.safeValue(response, 'increments', {});
+    }
+
     async fetchBalance (params = {}) {
         await this.loadMarkets();
         let response = await this.privatePostGetInfo();
         if (response['success'] === 0) {
             return response
         }
-        console.log('data return fetchbalance', response)
         let balance = response['return'];
         let result = balance;
         let codes = Object.keys(this.currencies);
@@ -161,55 +551,67 @@ module.exports = class indodax extends Exchange {
         // this.parseBalance(result);
     }
 
-    parseOrderBooks (orderbook, timestamp = undefined, bidsKey = 'buy', asksKey = 'sell', priceKey = 0, amountKey = 1) {
-        return {
-            'buy': sortBy((bidsKey in orderbook) ? this.parseBidsAsks(orderbook[bidsKey], priceKey, amountKey) : [], 0, true),
-            'sell': sortBy((asksKey in orderbook) ? this.parseBidsAsks(orderbook[asksKey], priceKey, amountKey) : [], 0),
-            'timestamp': timestamp,
-            'datetime': this.iso8601(timestamp),
-            'nonce': undefined,
-        }
-    }
-
     async fetchOrderBook (symbol, limit = undefined, params = {}) {
         await this.loadMarkets();
-        let orderbook = await this.publicGetPairDepth(this.extend({
+        const response = await this.publicGetPairDepth(this.extend({
             'pair': this.marketId(symbol),
         }, params));
-        return this.parseOrderBooks(orderbook, undefined, 'buy', 'sell');
-    }
-
-    async fetchAllTicker (symbol, params = {}) {
-        await this.loadMarkets();
-        let market = this.market(symbol);
-        let response = await this.publicGetPairTicker(this.extend({
-            'pair': market['id'],
-        }, params));
-        let ticker = response['ticker'];
-        let timestamp = this.safeFloat(ticker, 'server_time');
-        let baseVolume = 'vol_' + market['baseId'].toLowerCase();
-        let quoteVolume = 'vol_' + market['quoteId'].toLowerCase();
-        let last = this.safeFloat(ticker, 'last');
-        return {
-            'symbol': symbol,
-            'timestamp': timestamp,
-            'last': last,
-            'quoteVolume': this.safeFloat(ticker, quoteVolume),
-            'low': this.safeFloat(ticker, 'low'),
-        };
+        //
+        //     {
+        //         "buy": [ [ 117002000, "0.00854700" ], [ 117001000, "0.01051302" ] ],
+        //         "sell": [ [ 117078000, "0.02341837" ], [ 117079000, "0.00163250" ] ]
+        //     }
+        //
+        // the depth payload carries no server time, so stamp it on arrival
+        const timestamp = this.milliseconds();
+        const orderbook = this.parseOrderBook(response, timestamp, 'buy', 'sell');
+        if (limit !== undefined) {
+            orderbook['bids'] = orderbook['bids'].slice(0, limit);
+            orderbook['asks'] = orderbook['asks'].slice(0, limit);
+        }
+        orderbook['info'] = response;
+        return orderbook;
     }
 
-    async fetchTicker (symbol, params = {}) {
-        await this.loadMarkets();
-        let market = this.market(symbol);
-        let response = await this.publicGetPairTicker(this.extend({
-            'pair': market['id'],
-        }, params));
-        let ticker = response['ticker'];
-        let timestamp = this.safeFloat(ticker, 'server_time');
-        let baseVolume = 'vol_' + market['baseId'].toLowerCase();
-        let quoteVolume = 'vol_' + market['quoteId'].toLowerCase();
-        let last = this.safeFloat(ticker, 'last');
+    parseTicker (ticker, market = undefined) {
+        //
+        //     {
+        //         "high": "120009000",
+        //         "low": "116735000",
+        //         "vol_btc": "218.13777777",
+        //         "vol_idr": "25800033297",
+        //         "last": "117088000",
+        //         "buy": "117002000",
+        //         "sell": "117078000",
+        //         "server_time": 1571207881,
+        //         "price_24h": "116000000" // added by fetchTicker / fetchTickers
+        //     }
+        //
+        let symbol = undefined;
+        let baseVolume = undefined;
+        let quoteVolume = undefined;
+        if (market !== undefined) {
+            symbol = market['symbol'];
+            baseVolume = this.safeFloat(ticker, 'vol_' + market['baseId'].toLowerCase());
+            quoteVolume = this.safeFloat(ticker, 'vol_' + market['quoteId'].toLowerCase());
+        }
+        const timestamp = this.safeTimestamp(ticker, 'server_time');
+        const last = this.safeFloat(ticker, 'last');
+        const open = this.safeFloat(ticker, 'price_24h');
+        let change = undefined;
+        let percentage = undefined;
+        let average = undefined;
+        if ((open !== undefined) && (last !== undefined)) {
+            change = last - open;
+            if (open > 0) {
+                percentage = change / open * 100;
+            }
+            average = this.sum(open, last) / 2;
+        }
+        let vwap = undefined;
+        if ((baseVolume !== undefined) && (quoteVolume !== undefined) && (baseVolume > 0)) {
+            vwap = quoteVolume / baseVolume;
+        }
         return {
             'symbol': symbol,
             'timestamp': timestamp,
@@ -220,48 +622,464 @@ module.exports = class indodax extends Exchange {
             'bidVolume': undefined,
             'ask': this.safeFloat(ticker, 'sell'),
             'askVolume': undefined,
-            'vwap': undefined,
-            'open': undefined,
+            'vwap': vwap,
+            'open': open,
             'close': last,
             'last': last,
             'previousClose': undefined,
-            'change': undefined,
-            'percentage': undefined,
-            'average': undefined,
-            'baseVolume': this.safeFloat(ticker, baseVolume),
-            'quoteVolume': this.safeFloat(ticker, quoteVolume),
+            'change': change,
+            'percentage': percentage,
+            'average': average,
+            'baseVolume': baseVolume,
+            'quoteVolume': quoteVolume,
             'info': ticker,
         };
     }
 
-    parseTrade (trade, market) {
-        let timestamp = parseInt(trade['date']) * 1000;
+    async fetchTicker (symbol, params = {}) {
+        await this.loadMarkets();
+        const market = this.market(symbol);
+        const response = await this.publicGetPairTicker(this.extend({
+            'pair': market['id'],
+        }, params));
+        let ticker = response['ticker'];
+        // the single pair ticker has no open, only the summaries of all pairs carry it
+        if (this.options['fetchTickerOpen']) {
+            const summaries = await this.publicGetSummaries();
+            const prices24h = this.safeValue(summaries, 'prices_24h', {});
+            ticker = this.extend(ticker, { 'price_24h': this.safeString(prices24h, market['id'].replace('_', '')) });
+        }
+        return this.parseTicker(ticker, market);
+    }
+
+    async fetchTickers (symbols = undefined, params = {}) {
+        await this.loadMarkets();
+        const response = await this.publicGetSummaries(params);
+        //
+        //     {
+        //         "tickers": {
+        //             "btc_idr": { "high": "120009000", "low": "116735000", ... },
+        //             "eth_idr": { ... },
+        //         },
+        //         "prices_24h": {
+        //             "btcidr": "116000000",
+        //             "ethidr": "2700000",
+        //         },
+        //         "prices_7d": { ... }
+        //     }
+        //
+        const tickers = this.safeValue(response, 'tickers', {});
+        const prices24h = this.safeValue(response, 'prices_24h', {});
+        const marketIds = Object.keys(tickers);
+        const result = {};
+        for (let i = 0; i < marketIds.length; i++) {
+            const marketId = marketIds[i];
+            // skip pairs that are not listed in the loaded markets
+            if (!(marketId in this.markets_by_id)) {
+                continue;
+            }
+            const market = this.markets_by_id[marketId];
+            const ticker = this.parseTicker(this.extend(tickers[marketId], {
+                'price_24h': this.safeString(prices24h, marketId.replace('_', '')),
+            }), market);
+            result[ticker['symbol']] = ticker;
+        }
+        return this.filterByArray(result, 'symbol', symbols);
+    }
+
+    parseTrade (trade, market = undefined) {
+        //
+        // fetchTrades (public)
+        //
+        //     {
+        //         "date": "1571222380",
+        //         "price": "117186000",
+        //         "amount": "0.00068000",
+        //         "tid": "14958931",
+        //         "type": "sell"
+        //     }
+        //
+        // fetchMyTrades (private), the amount is keyed by the base currency id
+        //
+        //     {
+        //         "trade_id": "3",
+        //         "order_id": "3",
+        //         "type": "sell",
+        //         "btc": "0.01000000",
+        //         "price": "6000000",
+        //         "fee": "180",
+        //         "trade_time": "1392228882"
+        //     }
+        //
+        const timestamp = this.safeTimestamp2(trade, 'date', 'trade_time');
+        const price = this.safeFloat(trade, 'price');
+        let amount = this.safeFloat(trade, 'amount');
+        let symbol = undefined;
+        if (market !== undefined) {
+            symbol = market['symbol'];
+            if (amount === undefined) {
+                amount = this.safeFloat(trade, market['baseId']);
+            }
+        }
+        let cost = undefined;
+        if ((price !== undefined) && (amount !== undefined)) {
+            cost = price * amount;
+        }
+        let fee = undefined;
+        let takerOrMaker = undefined;
+        const feeCost = this.safeFloat(trade, 'fee');
+        if (feeCost !== undefined) {
+            fee = {
+                'cost': feeCost,
+                'currency': (market !== undefined) ? market['quote'] : undefined,
+            };
+            // makers trade for free on indodax, so only takers pay a fee
+            if (this.fees['trading']['maker'] === 0) {
+                takerOrMaker = (feeCost > 0) ? 'taker' : 'maker';
+            }
+        }
         return {
-            'id': trade['tid'],
+            'id': this.safeString2(trade, 'tid', 'trade_id'),
             'info': trade,
             'timestamp': timestamp,
             'datetime': this.iso8601(timestamp),
-            'symbol': market['symbol'],
+            'symbol': symbol,
+            'order': this.safeString(trade, 'order_id'),
             'type': undefined,
-            'side': trade['type'],
-            'price': this.safeFloat(trade, 'price'),
-            'amount': this.safeFloat(trade, 'amount'),
+            'side': this.safeString(trade, 'type'),
+            'takerOrMaker': takerOrMaker,
+            'price': price,
+            'amount': amount,
+            'cost': cost,
+            'fee': fee,
         };
     }
 
     async fetchTrades (symbol, since = undefined, limit = undefined, params = {}) {
         await this.loadMarkets();
-        let market = this.market(symbol);
-        let response = await this.publicGetPairTrades(this.extend({
+        const market = this.market(symbol);
+        const request = {
             'pair': market['id'],
-        }, params));
-        return response;
+        };
+        // the endpoint only returns the latest page of trades, older pages
+        // are requested by passing the oldest tid seen so far as a cursor
+        let cursor = this.safeString(params, 'tid');
+        const query = this.omit(params, 'tid');
+        const maxPages = this.safeInteger(this.options, 'fetchTradesMaxPages', 10);
+        const tradesById = {};
+        for (let page = 0; page < maxPages; page++) {
+            if (cursor !== undefined) {
+                request['tid'] = cursor;
+            }
+            const response = await this.publicGetPairTrades(this.extend(request, query));
+            let trades = this.parseTrades(response, market);
+            if (cursor !== undefined) {
+                trades = trades.filter((trade) => parseInt(trade['id']) < parseInt(cursor));
+            }
+            if (!trades.length) {
+                break;
+            }
+            // trades within the same second come in any order, so the tids decide
+            let oldest = trades[0];
+            for (let i = 0; i < trades.length; i++) {
+                tradesById[trades[i]['id']] = trades[i];
+                if (parseInt(trades[i]['id']) < parseInt(oldest['id'])) {
+                    oldest = trades[i];
+                }
+            }
+            // only walk backwards when the caller asked for a time range
+            if ((since === undefined) || (oldest['timestamp'] <= since)) {
+                break;
+            }
+            cursor = oldest['id'];
+        }
+        const result = Object.values(tradesById).sort((a, b) => parseInt(a['id']) - parseInt(b['id']));
+        return this.filterBySinceLimit(result, since, limit);
+    }
+
+    parseOHLCV (ohlcv, market = undefined, timeframe = '1m', since = undefined, limit = undefined) {
+        return [
+            ohlcv[0],
+            parseFloat(ohlcv[1]),
+            parseFloat(ohlcv[2]),
+            parseFloat(ohlcv[3]),
+            parseFloat(ohlcv[4]),
+            parseFloat(ohlcv[5]),
+        ];
+    }
+
+    async fetchOHLCV (symbol, timeframe = '1m', since = undefined, limit = undefined, params = {}) {
+        await this.loadMarkets();
+        const market = this.market(symbol);
+        if (limit === undefined) {
+            limit = this.options['fetchOHLCVLimit'];
+        }
+        const duration = this.parseTimeframe(timeframe);
+        let from = undefined;
+        let to = undefined;
+        if (since === undefined) {
+            to = this.seconds();
+            from = to - limit * duration;
+        } else {
+            from = parseInt(since / 1000);
+            to = Math.min(this.seconds(), from + limit * duration);
+        }
+        const request = {
+            // the chart feed uses BTCIDR instead of btc_idr
+            'symbol': market['id'].replace('_', '').toUpperCase(),
+            'resolution': this.timeframes[timeframe],
+            'from': from,
+            'to': to,
+        };
+        const response = await this.tradingviewGetHistory(this.extend(request, params));
+        //
+        //     {
+        //         "s": "ok",
+        //         "t": [ 1571212800, 1571216400 ],
+        //         "o": [ 117088000, 117140000 ],
+        //         "h": [ 117300000, 117316000 ],
+        //         "l": [ 116905000, 117001000 ],
+        //         "c": [ 117140000, 117240000 ],
+        //         "v": [ 3.72120382, 4.20815103 ]
+        //     }
+        //
+        // or { "s": "no_data" } when there are no candles in range
+        //
+        if (this.safeString(response, 's') !== 'ok') {
+            return [];
+        }
+        if (since === undefined) {
+            // the range may end in the current, still open candle, the latest ones are wanted
+            const ohlcvs = this.parseTradingViewOHLCV(response, market, timeframe);
+            return ohlcvs.slice(-limit);
+        }
+        return this.parseTradingViewOHLCV(response, market, timeframe, since, limit);
+    }
+
+    websocket () {
+        if (this.wsClient === undefined) {
+            this.wsClient = new IndodaxWs(this, this.options['ws']);
+        }
+        return this.wsClient;
+    }
+
+    wsChannelId (market) {
+        // the websocket channels use btcidr instead of btc_idr
+        return market['id'].replace('_', '');
+    }
+
+    watchTicker (symbol, params = {}) {
+        // for await (const ticker of exchange.watchTicker ('BTC/IDR')) { ... }
+        return this.websocket().subscribe(async () => {
+            await this.loadMarkets();
+            const market = this.market(symbol);
+            return {
+                'channel': 'market:summary-24h',
+                'parse': (data) => this.parseWsTicker(data, market),
+            };
+        });
+    }
+
+    parseWsTicker (rows, market) {
+        //
+        // one row per pair: pair, time, last, low, high, price 24h ago, quote volume, base volume
+        //
+        //     [
+        //         [ "btcidr", 1632717721, 605997000, 595000000, 610000000, 604000000, "26547584936", "43.82512345" ],
+        //         [ "ethidr", 1632717721, 42000000, 41000000, 43000000, 41500000, "5430035400", "129.99813422" ],
+        //     ]
+        //
+        const channelId = this.wsChannelId(market);
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[i];
+            if (row[0] !== channelId) {
+                continue;
+            }
+            const ticker = {
+                'server_time': row[1],
+                'last': row[2],
+                'low': row[3],
+                'high': row[4],
+                'price_24h': row[5],
+            };
+            ticker['vol_' + market['quoteId']] = row[6];
+            ticker['vol_' + market['baseId']] = row[7];
+            return this.extend(this.parseTicker(ticker, market), { 'info': row });
+        }
+        return undefined;
+    }
+
+    watchTrades (symbol, params = {}) {
+        // yields the array of trades carried by each update
+        return this.websocket().subscribe(async () => {
+            await this.loadMarkets();
+            const market = this.market(symbol);
+            return {
+                'channel': 'market:trade-activity-' + this.wsChannelId(market),
+                'parse': (data) => this.parseWsTrades(data, market),
+            };
+        });
+    }
+
+    parseWsTrades (rows, market) {
+        //
+        // pair, time, sequence, side, price, quote volume, base volume
+        //
+        //     [
+        //         [ "btcidr", 1635274052, 21999427, "buy", 881991000, "0", "0.00289324" ]
+        //     ]
+        //
+        const trades = [];
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[i];
+            trades.push(this.extend(this.parseTrade({
+                'date': row[1],
+                'tid': row[2].toString(),
+                'type': row[3],
+                'price': row[4],
+                'amount': row[6],
+            }, market), { 'info': row }));
+        }
+        return trades.length ? this.sortBy(trades, 'timestamp') : undefined;
+    }
+
+    watchOrderBook (symbol, limit = undefined, params = {}) {
+        // every update carries a full snapshot of the top of the book
+        return this.websocket().subscribe(async () => {
+            await this.loadMarkets();
+            const market = this.market(symbol);
+            return {
+                'channel': 'market:order-book-' + this.wsChannelId(market),
+                'parse': (data, offset) => this.parseWsOrderBook(data, market, limit, offset),
+            };
+        });
+    }
+
+    parseWsOrderBook (data, market, limit = undefined, offset = undefined) {
+        //
+        //     {
+        //         "pair": "btcidr",
+        //         "ask": [ { "btc_volume": "0.11035674", "idr_volume": "83639162", "price": "757899000" } ],
+        //         "bid": [ { "btc_volume": "0.50000000", "idr_volume": "378800000", "price": "757600000" } ]
+        //     }
+        //
+        const volumeKey = market['baseId'] + '_volume';
+        const timestamp = this.milliseconds();
+        const orderbook = this.parseOrderBook(data, timestamp, 'bid', 'ask', 'price', volumeKey);
+        if (limit !== undefined) {
+            orderbook['bids'] = orderbook['bids'].slice(0, limit);
+            orderbook['asks'] = orderbook['asks'].slice(0, limit);
+        }
+        orderbook['nonce'] = offset;
+        orderbook['symbol'] = market['symbol'];
+        orderbook['info'] = data;
+        return orderbook;
+    }
+
+    localOrderBook (symbol) {
+        // the locally maintained book of a symbol, see syncOrderBook and streamOrderBook
+        if (!(symbol in this.orderbooks)) {
+            this.orderbooks[symbol] = new LocalOrderBook(symbol);
+        }
+        return this.orderbooks[symbol];
+    }
+
+    async syncOrderBook (symbol, params = {}) {
+        // replaces the local book with a full rest snapshot, concurrent calls share one request
+        const book = this.localOrderBook(symbol);
+        if (book.syncing === undefined) {
+            book.synced = false;
+            book.syncing = this.fetchOrderBook(symbol, undefined, params).then((snapshot) => {
+                book.syncing = undefined;
+                return book.reset(snapshot);
+            }, (e) => {
+                book.syncing = undefined;
+                throw e;
+            });
+        }
+        return book.syncing;
+    }
+
+    async applyOrderBookUpdate (symbol, diff) {
+        // applies a diff to the local book and resyncs it when the diff does not follow the last one
+        const book = this.localOrderBook(symbol);
+        if (!book.update(diff)) {
+            await this.syncOrderBook(symbol);
+        }
+        return book;
+    }
+
+    streamOrderBook (symbol, params = {}) {
+        // keeps the local book up to date from the websocket until stopOrderBook (symbol)
+        const book = this.localOrderBook(symbol);
+        if (book.stream !== undefined) {
+            return book;
+        }
+        const stream = this.watchOrderBook(symbol, undefined, params);
+        book.stream = stream;
+        book.error = undefined;
+        const pump = async () => {
+            await this.syncOrderBook(symbol);
+            while (true) {
+                const message = await stream.next();
+                if (message['done']) {
+                    return;
+                }
+                try {
+                    // the websocket sends the top of the book only, so the book keeps no deeper levels while streaming
+                    await this.applyOrderBookUpdate(symbol, book.diff(message['value']));
+                } catch (e) {
+                    if (!(e instanceof NetworkError)) {
+                        throw e;
+                    }
+                    // the book stays unsynced and the next update retries the resync
+                }
+            }
+        };
+        pump().catch((e) => {
+            book.error = e;
+            book.synced = false;
+            stream.close();
+        }).then(() => {
+            if (book.stream === stream) {
+                book.stream = undefined;
+            }
+        });
+        return book;
+    }
+
+    stopOrderBook (symbol) {
+        const book = this.localOrderBook(symbol);
+        if (book.stream !== undefined) {
+            book.stream.close();
+            book.stream = undefined;
+        }
+        return book;
     }
 
     parseOrder (order, market = undefined) {
-        let side = undefined;
-        if ('type' in order)
-            side = order['type'];
+        //
+        // getOrder, openOrders and orderHistory, buys are sized in the quote currency
+        // they spend (order_idr, order_btc, order_usdt) and sells in the base currency
+        //
+        //     {
+        //         "order_id": "94425",
+        //         "client_order_id": "clientx-sj82ks82j",
+        //         "price": "6000000",
+        //         "type": "buy",
+        //         "order_type": "limit",
+        //         "order_idr": "1000000",
+        //         "remain_idr": "400000",
+        //         "submit_time": "1497657065",
+        //         "finish_time": "0",
+        //         "status": "open"
+        //     }
+        //
+        const side = this.safeString(order, 'type');
+        if (market === undefined) {
+            // getOrderByClientOrderId and cancelByClientOrderId name the pair
+            market = this.safeValue(this.markets_by_id, this.safeString(order, 'pair'));
+        }
         let status = this.safeString(order, 'status', 'open');
         if (status === 'filled') {
             status = 'closed';
@@ -270,67 +1088,185 @@ module.exports = class indodax extends Exchange {
         }
         let symbol = undefined;
         let cost = undefined;
-        let price = order['price'];
+        const price = this.safeFloat(order, 'price');
         let amount = undefined;
         let remaining = undefined;
         let filled = undefined;
         if (market !== undefined) {
             symbol = market['symbol'];
+            // IDR may come back as order_rp instead of order_idr
             let quoteId = market['quoteId'];
-            let baseId = market['baseId'];
-            if ((market['quoteId'] === 'idr') && ('order_rp' in order))
+            if ((quoteId === 'idr') && !(('order_' + quoteId) in order) && ('order_rp' in order))
                 quoteId = 'rp';
-            if ((market['baseId'] === 'idr') && ('remain_rp' in order))
-                baseId = 'rp';
-            cost = this.safeFloat(order, 'order_' + quoteId);
-            if (cost) {
-                amount = cost / price;
-                let remainingCost = this.safeFloat(order, 'remain_' + quoteId);
+            const baseId = market['baseId'];
+            const orderCost = this.safeFloat(order, 'order_' + quoteId);
+            if ((side === 'buy') && (orderCost !== undefined) && price) {
+                amount = orderCost / price;
+                const remainingCost = this.safeFloat(order, 'remain_' + quoteId);
                 if (remainingCost !== undefined) {
                     remaining = remainingCost / price;
-                    filled = amount - remaining;
+                    cost = orderCost - remainingCost;
+                    filled = cost / price;
                 }
             } else {
                 amount = this.safeFloat(order, 'order_' + baseId);
-                cost = amount;
                 remaining = this.safeFloat(order, 'remain_' + baseId);
-                filled = amount - remaining;
             }
         }
+        if ((remaining === undefined) && (status === 'closed'))
+            remaining = 0;
+        if ((filled === undefined) && (amount !== undefined) && (remaining !== undefined))
+            filled = Math.max(0, amount - remaining);
+        if ((cost === undefined) && (filled !== undefined) && (price !== undefined))
+            cost = filled * price;
         let average = undefined;
         if (filled)
             average = cost / filled;
-        let timestamp = parseInt(order['submit_time']);
-        let result = {
-            'info': 'order',
-            'waktu input': timestamp,
-            'lastTradeTimestamp': undefined,
+        const timestamp = this.safeTimestamp(order, 'submit_time');
+        let lastTradeTimestamp = this.safeTimestamp(order, 'finish_time');
+        if (!lastTradeTimestamp)
+            lastTradeTimestamp = undefined;
+        return {
+            'id': this.safeString2(order, 'order_id', 'id'),
+            'clientOrderId': this.safeString(order, 'client_order_id'),
+            'info': order,
+            'timestamp': timestamp,
+            'datetime': this.iso8601(timestamp),
+            'lastTradeTimestamp': lastTradeTimestamp,
             'symbol': symbol,
-            'txid': order['order_id'],
-            'type': 'limit',
+            'type': this.safeString(order, 'order_type', 'limit'),
             'side': side,
             'price': price,
-            'total order': cost,
+            'cost': cost,
             'average': average,
             'amount': amount,
             'filled': filled,
             'remaining': remaining,
             'status': status,
+            // orders do not report the fee, see fetchMyTrades
+            'fee': undefined,
         };
-        return result;
     }
+
+    stopEngine () {
+        // client side stop_limit, stop_market and take_profit orders, resumes from its journal on first use
+        if (this.stops === undefined) {
+            // the engine sends its requests back to back, e.g. a cancel then a fetchOrder when a stop triggers
+            if (!this.enableRateLimit)
+                throw new ExchangeError(this.id + ' conditional and oco orders require enableRateLimit = true');
+            const stops = new StopEngine(this, this.options['stops']);
+            stops.start();
+            this.stops = stops;
+        }
+        return this.stops;
+    }
+
+    conditionalOrder (id) {
+        // plain order methods only consult the stop engine once it runs, they never start it
+        return (this.stops !== undefined) && this.stops.has(id);
+    }
+
+    async createOcoOrder (symbol, side, amount, limitPrice, stopPrice, params = {}) {
+        // a limit order at limitPrice and a client side stop at stopPrice, whichever fills first cancels the other
+        return await this.stopEngine().createOco(symbol, side, amount, limitPrice, stopPrice, params);
+    }
+
+    async cancelOcoOrder (id, params = {}) {
+        return await this.stopEngine().cancelOco(id);
+    }
+
+    async fetchOcoOrder (id, params = {}) {
+        return this.stopEngine().fetchOco(id);
+    }
+
+    createExecution (symbol, side, amount, params = {}) {
+        // a twap, vwap or iceberg execution of a large order, await execution.run () for the report
+        if (!this.enableRateLimit)
+            throw new ExchangeError(this.id + ' createExecution() requires enableRateLimit = true');
+        if (!this.markets)
+            throw new ExchangeError(this.id + ' createExecution() requires the markets to be loaded, call loadMarkets() first');
+        return new Execution(this, symbol, side, amount, params);
+    }
+
+    cacheOrders (orders) {
+        // remembers the symbol of every order seen, so that fetchOrder can go without one
+        for (let i = 0; i < orders.length; i++) {
+            const order = orders[i];
+            if ((order['id'] !== undefined) && (order['symbol'] !== undefined)) {
+                this.orders[order['id']] = order;
+            }
+        }
+        return orders;
+    }
+
     async fetchOrder (id, symbol = undefined, params = {}) {
-        if (symbol === undefined)
-            throw new ExchangeError(this.id + ' fetchOrder requires a symbol');
         await this.loadMarkets();
-        let market = this.market(symbol);
-        let response = await this.privatePostGetOrder(this.extend({
+        if (this.conditionalOrder(id)) {
+            return await this.stops.fetch(id);
+        }
+        if (symbol === undefined) {
+            const cached = this.safeValue(this.orders, id);
+            if (cached !== undefined) {
+                symbol = cached['symbol'];
+            } else {
+                return await this.findOrder(id, params);
+            }
+        }
+        const market = this.market(symbol);
+        const response = await this.privatePostGetOrder(this.extend({
             'pair': market['id'],
             'order_id': id,
         }, params));
-        let orders = response['return'];
-        let order = this.parseOrder(this.extend({ 'id': id }, orders['order']), market);
-        return this.extend(order);
+        const order = this.parseOrder(this.extend({ 'order_id': id }, response['return']['order']), market);
+        this.cacheOrders([ order ]);
+        return order;
+    }
+
+    async fetchOrderByClientOrderId (clientOrderId, symbol = undefined, params = {}) {
+        // the reply names the pair, so no symbol is needed
+        await this.loadMarkets();
+        const response = await this.privatePostGetOrderByClientOrderId(this.extend({
+            'client_order_id': clientOrderId,
+        }, params));
+        const market = (symbol !== undefined) ? this.market(symbol) : undefined;
+        const order = this.parseOrder(this.safeValue(response, 'return', {}), market);
+        this.cacheOrders([ order ]);
+        return order;
+    }
+
+    async findOrder (id, params = {}) {
+        // an unknown id is looked up among all open orders first, then pair by pair
+        const openOrders = await this.fetchOpenOrders();
+        for (let i = 0; i < openOrders.length; i++) {
+            if (openOrders[i]['id'] === id) {
+                return openOrders[i];
+            }
+        }
+        // that is one request per pair, well past the rate limit of a minute without the throttle
+        if (!this.enableRateLimit)
+            throw new ArgumentsRequired(this.id + ' fetchOrder() requires a symbol argument for orders that are neither open nor seen before, or enableRateLimit = true to search every pair');
+        const symbols = this.safeValue(this.options, 'findOrderSymbols', this.symbols);
+        for (let i = 0; i < symbols.length; i++) {
+            try {
+                return await this.fetchOrder(id, symbols[i], params);
+            } catch (e) {
+                if (!(e instanceof OrderNotFound)) {
+                    throw e;
+                }
+            }
+        }
+        throw new OrderNotFound(this.id + ' order ' + id + ' not found');
+    }
+
+    async fetchOrders (symbol = undefined, since = undefined, limit = undefined, params = {}) {
+        if (symbol === undefined) {
+            throw new ArgumentsRequired(this.id + ' fetchOrders requires a symbol argument');
+        }
+        // orderHistory may lag behind, so the open orders take precedence
+        const openOrders = await this.fetchOpenOrders(symbol, undefined, undefined, params);
+        const history = await this.fetchOrderHistory(symbol, params);
+        const orders = this.indexBy(this.arrayConcat(history, openOrders), 'id');
+        return this.filterBySinceLimit(this.sortBy(Object.values(orders), 'timestamp'), since, limit);
     }
 
     async fetchOpenOrders (symbol = undefined, since = undefined, limit = undefined, params = {}) {
@@ -342,13 +1278,15 @@ module.exports = class indodax extends Exchange {
             request['pair'] = market['id'];
         }
         let response = await this.privatePostOpenOrders(this.extend(request, params));
+        // conditional orders wait on this side until they trigger
+        const conditionalOrders = (this.stops === undefined) ? [] : this.stops.pending(symbol).map((conditional) => this.stops.parseConditional(conditional));
         let rawOrders = response['return']['orders'];
         // { success: 1, return: { orders: null }} if no orders
         if (!rawOrders)
-            return [];
+            return this.filterBySinceLimit(conditionalOrders, since, limit);
         // { success: 1, return: { orders: [ ... objects ] }} for orders fetched by symbol
         if (symbol !== undefined)
-            return this.parseOrders(rawOrders, market, since, limit);
+            return this.arrayConcat(this.cacheOrders(this.parseOrders(rawOrders, market, since, limit)), this.filterBySinceLimit(conditionalOrders, since, limit));
         // { success: 1, return: { orders: { marketid: [ ... objects ] }}} if all orders are fetched
         let marketIds = Object.keys(rawOrders);
         let exchangeOrders = [];
@@ -359,122 +1297,462 @@ module.exports = class indodax extends Exchange {
             let parsedOrders = this.parseOrders(marketOrders, market, since, limit);
             exchangeOrders = this.arrayConcat(exchangeOrders, parsedOrders);
         }
-        return exchangeOrders;
+        return this.arrayConcat(this.cacheOrders(exchangeOrders), this.filterBySinceLimit(conditionalOrders, since, limit));
     }
 
-    async fetchClosedOrders (symbol = undefined, since = undefined, limit = undefined, params = {}) {
-        if (symbol === undefined)
-            throw new ExchangeError(this.id + ' fetchOrders requires a symbol');
+    async fetchOrderHistory (symbol, params = {}) {
+        // orderHistory requires a pair and holds open, filled and cancelled orders
         await this.loadMarkets();
-        let request = {};
-        let market = undefined;
-        if (symbol !== undefined) {
-            market = this.market(symbol);
-            request['pair'] = market['id'];
+        const market = this.market(symbol);
+        const response = await this.privatePostOrderHistory(this.extend({
+            'pair': market['id'],
+        }, params));
+        const orders = this.safeValue(response['return'], 'orders', []);
+        return this.cacheOrders(this.parseOrders(orders || [], market));
+    }
+
+    async fetchOrdersByStatus (status, symbol = undefined, since = undefined, limit = undefined, params = {}) {
+        if (symbol === undefined) {
+            throw new ArgumentsRequired(this.id + ' fetching ' + status + ' orders requires a symbol argument');
         }
-        let response = await this.privatePostOrderHistory(this.extend(request, params));
-        let orders = this.parseOrders(response['return']['orders'], market, since, limit);
-        orders = this.filterBy(orders, 'status', 'closed');
-        if (symbol !== undefined)
-            return this.filterBySymbol(orders, symbol);
-        return orders;
+        const orders = await this.fetchOrderHistory(symbol, params);
+        return this.filterBySinceLimit(this.filterBy(orders, 'status', status), since, limit);
+    }
+
+    async fetchClosedOrders (symbol = undefined, since = undefined, limit = undefined, params = {}) {
+        return await this.fetchOrdersByStatus('closed', symbol, since, limit, params);
     }
 
-    async fetchTradeHistory (symbol = undefined, params = {}) {
-        if (symbol === undefined)
-            throw new ExchangeError(this.id + ' fetchOrders requires a symbol');
+    async fetchCanceledOrders (symbol = undefined, since = undefined, limit = undefined, params = {}) {
+        return await this.fetchOrdersByStatus('canceled', symbol, since, limit, params);
+    }
+
+    async fetchMyTrades (symbol = undefined, since = undefined, limit = undefined, params = {}) {
+        if (symbol === undefined) {
+            throw new ArgumentsRequired(this.id + ' fetchMyTrades requires a symbol argument');
+        }
         await this.loadMarkets();
-        let request = {};
-        let market = undefined;
-        if (symbol !== undefined) {
-            market = this.market(symbol);
-            request['pair'] = market['id'];
+        const market = this.market(symbol);
+        const count = this.safeInteger(this.options, 'fetchMyTradesCount', 1000);
+        const maxPages = this.safeInteger(this.options, 'fetchMyTradesMaxPages', 100);
+        const request = {
+            'pair': market['id'],
+            'count': count,
+        };
+        // with since the history is walked forwards from that time using from_id,
+        // otherwise backwards from the latest trade using end_id
+        const forward = (since !== undefined);
+        if (forward) {
+            request['since'] = parseInt(since / 1000);
+            request['order'] = 'asc';
+        } else {
+            request['order'] = 'desc';
         }
-        let response = await this.privatePostTradeHistory(this.extend(request, params));
-        let orders = this.parseHistory(response['return']['trades'], market);
-        // orders = this.filterBy(orders, 'status', 'closed');
-        if (symbol !== undefined)
-            return response['return']['trades'];
-        return response;
+        let result = [];
+        for (let page = 0; page < maxPages; page++) {
+            const response = await this.privatePostTradeHistory(this.extend(request, params));
+            const trades = this.safeValue(response['return'], 'trades', []);
+            result = this.arrayConcat(result, trades);
+            if ((trades.length < count) || ((limit !== undefined) && (result.length >= limit))) {
+                break;
+            }
+            const last = parseInt(trades[trades.length - 1]['trade_id']);
+            if (forward) {
+                request['from_id'] = last + 1;
+            } else {
+                request['end_id'] = last - 1;
+            }
+        }
+        const parsed = this.parseTrades(result, market);
+        if (!forward && (limit !== undefined)) {
+            return parsed.slice(-limit);
+        }
+        return this.filterBySinceLimit(parsed, since, limit);
     }
 
-    parseHistory (order, market = undefined) {
-        let side = undefined;
-        if ('type' in order)
-            side = order['type'];
-        let symbol = undefined;
-        let cost = undefined;
-        let price = this.safeFloat(order, 'price');
-        if (market !== undefined) {
-            symbol = market['symbol'];
-            // let quoteId = market['quoteId'];
-            let baseId = market['baseId'];
-            if ((market['quoteId'] === 'idr') && ('order_rp' in order))
-                quoteId = 'rp';
-            if ((market['baseId'] === 'idr') && ('remain_rp' in order))
-                baseId = 'rp';
-            cost = this.safeFloat(order, 'order_' + baseId);
+    quoteToPrecision (market, cost) {
+        // the exchange takes whole rupiahs and satoshis
+        const digits = (market['quote'] === 'IDR') ? 0 : 8;
+        return decimalToPrecision(cost, TRUNCATE, digits, DECIMAL_PLACES);
+    }
 
+    async fetchMarketBuyCost (symbol, amount) {
+        // what buying amount at market costs, walking the asks of the order book
+        const orderbook = await this.fetchOrderBook(symbol);
+        let remaining = amount;
+        let cost = 0;
+        for (let i = 0; i < orderbook['asks'].length; i++) {
+            const [ price, volume ] = orderbook['asks'][i];
+            const filled = Math.min(remaining, volume);
+            cost += filled * price;
+            remaining -= filled;
+            if (remaining <= 0) {
+                return cost;
+            }
         }
+        throw new InvalidOrder(this.id + ' the ' + symbol + ' order book is too thin to buy ' + amount.toString() + ' at market');
+    }
 
-        let timestamp = parseInt(order['trade_time']);
-        let result = {
-            'waktu input': timestamp,
-            'symbol': symbol,
-            'type': side,
-            'asset': this.safeFloat(order, `${this.baseId}`),
-            'price': price,
-            'total order': cost,
-            'fee': this.safeFloat(order, 'fee'),
+    async fetchMarketSellValue (symbol, amount) {
+        // what selling amount at market brings in, walking the bids, as far as the book goes
+        const orderbook = await this.fetchOrderBook(symbol);
+        let remaining = amount;
+        let value = 0;
+        for (let i = 0; (i < orderbook['bids'].length) && (remaining > 0); i++) {
+            const [ price, volume ] = orderbook['bids'][i];
+            const filled = Math.min(remaining, volume);
+            value += filled * price;
+            remaining -= filled;
+        }
+        return value;
+    }
 
-        };
-        return result;
+    async fetchEmulatedMarketPrice (symbol, side) {
+        // a limit price past the best price of the other side, capped by marketOrderSlippage,
+        // an order at that price fills right away as far as the book allows and rests for the rest
+        const slippage = this.safeFloat(this.options, 'marketOrderSlippage', 0.01);
+        const orderbook = await this.fetchOrderBook(symbol);
+        const levels = (side === 'buy') ? orderbook['asks'] : orderbook['bids'];
+        if (!levels.length) {
+            throw new InvalidOrder(this.id + ' the ' + symbol + ' order book has no ' + ((side === 'buy') ? 'asks' : 'bids') + ' to trade against');
+        }
+        const best = levels[0][0];
+        return parseFloat(this.priceToPrecision(symbol, (side === 'buy') ? (best * (1 + slippage)) : (best * (1 - slippage))));
+    }
+
+    async createMarketBuyOrder (symbol, cost, params = {}) {
+        // like the exchange itself, a market buy is sized in the quote currency to spend
+        return await this.createOrder(symbol, 'market', 'buy', undefined, undefined, this.extend({ 'cost': cost }, params));
     }
 
     async createOrder (symbol, type, side, amount, price = undefined, params = {}) {
-        if (type !== 'limit')
-            throw new ExchangeError(this.id + ' allows limit orders only');
+        // amount is always in the base currency, buys are converted to the quote
+        // currency they spend unless params['cost'] says how much to spend
+        if (StopEngine.isConditional(type))
+            return await this.stopEngine().create(symbol, type, side, amount, price, params);
+        if ((type !== 'limit') && (type !== 'market'))
+            throw new InvalidOrder(this.id + ' allows limit, market, stop_limit, stop_market and take_profit orders only');
         await this.loadMarkets();
-        let market = this.market(symbol);
-        let order = {
+        const market = this.market(symbol);
+        let cost = this.safeFloat(params, 'cost');
+        const query = this.omit(params, [ 'cost', 'marketOrderType', 'clientOrderId' ]);
+        const request = {
             'pair': market['id'],
             'type': side,
-            'price': price,
         };
-        let currency = market['baseId'];
+        const clientOrderId = this.safeString2(params, 'clientOrderId', 'client_order_id');
+        if (clientOrderId !== undefined) {
+            // the exchange refuses a second order with the same client_order_id
+            request['client_order_id'] = clientOrderId;
+        }
+        if (type === 'market') {
+            const marketOrderType = this.safeString(params, 'marketOrderType', this.options['marketOrderType']);
+            if (marketOrderType === 'emulated') {
+                type = 'limit';
+                price = await this.fetchEmulatedMarketPrice(symbol, side);
+            } else {
+                request['order_type'] = 'market';
+                if ((side === 'buy') && (cost === undefined)) {
+                    cost = (price !== undefined) ? (amount * price) : await this.fetchMarketBuyCost(symbol, amount);
+                }
+                price = undefined;
+            }
+        }
+        if (type === 'limit') {
+            if (price === undefined)
+                throw new ArgumentsRequired(this.id + ' createOrder requires a price argument for limit orders');
+            request['price'] = this.priceToPrecision(symbol, price);
+            price = parseFloat(request['price']);
+        }
         if (side === 'buy') {
-            order[market['quoteId']] = amount;
+            if (cost === undefined) {
+                if (amount === undefined)
+                    throw new ArgumentsRequired(this.id + ' createOrder requires an amount or params["cost"] for buy orders');
+                cost = amount * price;
+            }
+            request[market['quoteId']] = this.quoteToPrecision(market, cost);
         } else {
-            order[market['baseId']] = amount;
+            if (amount === undefined)
+                throw new ArgumentsRequired(this.id + ' createOrder requires an amount argument for sell orders');
+            request[market['baseId']] = this.amountToPrecision(symbol, amount);
         }
-        order[currency] = amount;
-        let result = await this.privatePostTrade(this.extend(order, params));
-        return {
-            'info': result,
-            'id': result['return']['order_id'].toString(),
-        };
+        await this.validateOrder(market, side, amount, price, request);
+        const response = await this.privatePostTrade(this.extend(request, query));
+        this.debitCachedBalance(market, side, request, this.safeValue(response, 'return', {}));
+        const order = this.parseCreateOrder(response, market, type, request);
+        this.cacheOrders([ order ]);
+        return order;
+    }
+
+    async validateOrder (market, side, amount, price, request) {
+        // catches what the exchange would reject anyway before it costs a request and a nonce
+        if (!this.options['validateOrders'])
+            return;
+        const symbol = market['symbol'];
+        const limits = market['limits'];
+        if (price !== undefined) {
+            if (!(price > 0))
+                throw new InvalidOrder(this.id + ' ' + symbol + ' price rounds to 0 at the tick size of ' + market['precision']['price'].toString() + ' ' + market['quote']);
+            const minPrice = this.safeFloat(limits['price'], 'min');
+            if ((minPrice !== undefined) && (price < minPrice))
+                throw new InvalidOrder(this.id + ' ' + symbol + ' price of ' + price.toString() + ' is below the minimum of ' + minPrice.toString() + ' ' + market['quote']);
+        }
+        const buy = (side === 'buy');
+        let value = undefined;
+        if (buy) {
+            value = parseFloat(request[market['quoteId']]);
+            if ((amount === undefined) && (price !== undefined))
+                amount = value / price;
+        } else {
+            const step = market['precision']['amount'];
+            const steps = amount / step;
+            if (Math.abs(steps - Math.round(steps)) > 0.001)
+                throw new InvalidOrder(this.id + ' ' + symbol + ' amount of ' + amount.toString() + ' has more decimals than its step of ' + step.toString() + ' ' + market['base'] + ' allows');
+            amount = parseFloat(request[market['baseId']]);
+            if (price !== undefined)
+                value = amount * price;
+        }
+        const minAmount = this.safeFloat(limits['amount'], 'min');
+        if ((amount !== undefined) && (minAmount !== undefined) && (amount < minAmount))
+            throw new InvalidOrder(this.id + ' ' + symbol + ' amount of ' + amount.toString() + ' is below the minimum of ' + minAmount.toString() + ' ' + market['base']);
+        let minValue = this.safeFloat(limits['cost'], 'min');
+        if (minValue === undefined)
+            minValue = this.safeFloat(this.options['minOrderValue'], market['quote']);
+        // a native market sell has no price, the bids tell what it would bring in
+        if ((value === undefined) && !buy && (minValue !== undefined))
+            value = await this.fetchMarketSellValue(symbol, amount);
+        if ((value !== undefined) && (minValue !== undefined) && (value < minValue))
+            throw new InvalidOrder(this.id + ' ' + symbol + ' order value of ' + value.toString() + ' ' + market['quote'] + ' is below the minimum of ' + minValue.toString() + ' ' + market['quote']);
+        if (!this.options['validateBalance'])
+            return;
+        const code = buy ? market['quote'] : market['base'];
+        const needed = buy ? value : amount;
+        if (needed === undefined)
+            return;
+        const timestamp = (this.cachedBalance === undefined) ? undefined : this.cachedBalance['timestamp'];
+        let free = this.safeFloat(await this.fetchCachedBalance(), code);
+        // resting orders may have filled since the cache was fetched, so it is fetched again before the order is refused
+        if ((free !== undefined) && (needed > free) && (this.cachedBalance['timestamp'] === timestamp))
+            free = this.safeFloat(await this.fetchCachedBalance(true), code);
+        if ((free !== undefined) && (needed > free))
+            throw new InsufficientFunds(this.id + ' ' + symbol + ' ' + side + ' order needs ' + needed.toString() + ' ' + code + ' but only ' + free.toString() + ' ' + code + ' is free');
     }
 
-    async cancelOrder (symbol, id, side, params = {}) {
+    async fetchCachedBalance (reload = false) {
+        // validateOrder checks every order against the free balance, fetching it for each one would halve the rate budget,
+        // so it comes from fetchBalance at most every balanceCacheTtl ms and the orders in between keep it up to date
+        const ttl = this.safeInteger(this.options, 'balanceCacheTtl', 10000);
+        if (reload || (this.cachedBalance === undefined) || ((this.milliseconds() - this.cachedBalance['timestamp']) > ttl)) {
+            const balance = await this.fetchBalance();
+            this.cachedBalance = { 'timestamp': this.milliseconds(), 'free': this.extend({}, balance['free']) };
+        }
+        return this.cachedBalance['free'];
+    }
+
+    debitCachedBalance (market, side, request, result) {
+        // a new order spends or holds all it was sized in, what it matched right away arrives free
+        if (this.cachedBalance === undefined)
+            return;
+        const free = this.cachedBalance['free'];
+        const buy = (side === 'buy');
+        const spent = buy ? market['quote'] : market['base'];
+        const received = buy ? market['base'] : market['quote'];
+        const receivedId = buy ? market['baseId'] : market['quoteId'];
+        if (spent in free)
+            free[spent] -= parseFloat(request[buy ? market['quoteId'] : market['baseId']]);
+        let amount = this.safeFloat(result, 'receive_' + receivedId);
+        if ((amount === undefined) && (receivedId === 'idr'))
+            amount = this.safeFloat(result, 'receive_rp');
+        if ((amount !== undefined) && (received in free))
+            free[received] += amount;
+    }
+
+    updateCachedBalance (result) {
+        // a cancel replies with the free balance, without it the cache no longer knows what was released
+        if (this.cachedBalance === undefined)
+            return;
+        const balance = this.safeValue(result, 'balance');
+        if (balance === undefined) {
+            this.cachedBalance = undefined;
+            return;
+        }
+        const currencyIds = Object.keys(balance);
+        for (let i = 0; i < currencyIds.length; i++) {
+            const currencyId = currencyIds[i];
+            this.cachedBalance['free'][this.safeCurrencyCode(currencyId)] = this.safeFloat(balance, currencyId);
+        }
+    }
 
-        //let symbol = undefined;  
-        //if (market !== undefined) {
-        //    symbol = market['symbol'];       
-        //}      
-        //let side = this.parseOrder(side);
+    parseCreateOrder (response, market, type, request) {
+        //
+        // the trade reply tells what was matched right away
+        //
+        //     {
+        //         "success": 1,
+        //         "return": {
+        //             "receive_btc": "0.00000000",
+        //             "spend_rp": 0,
+        //             "fee": 0,
+        //             "remain_rp": "1000000",
+        //             "order_id": 11560
+        //         }
+        //     }
+        //
+        const result = this.safeValue(response, 'return', {});
+        const side = request['type'];
+        const currencyId = (side === 'buy') ? market['quoteId'] : market['baseId'];
+        const order = {
+            'order_id': this.safeString(result, 'order_id'),
+            'client_order_id': this.safeString(result, 'client_order_id', request['client_order_id']),
+            'type': side,
+            'order_type': type,
+            'price': request['price'],
+            'submit_time': this.seconds(),
+        };
+        order['order_' + currencyId] = request[currencyId];
+        let remaining = this.safeString(result, 'remain_' + currencyId);
+        if ((remaining === undefined) && (currencyId === 'idr'))
+            remaining = this.safeString(result, 'remain_rp');
+        if (remaining !== undefined) {
+            order['remain_' + currencyId] = remaining;
+            if (parseFloat(remaining) === 0)
+                order['status'] = 'filled';
+        }
+        const parsed = this.parseOrder(order, market);
+        parsed['info'] = response;
+        if ((type === 'market') && (side === 'buy') && (parsed['cost'] === undefined))
+            parsed['cost'] = parseFloat(request[currencyId]);
+        const fee = this.safeFloat(result, 'fee');
+        if (fee !== undefined) {
+            parsed['fee'] = {
+                'cost': fee,
+                'currency': market['quote'],
+            };
+        }
+        return parsed;
+    }
 
-        //let side = undefined;   
-        //side = this.safeValue(order, 'side'); 
+    async cancelOrder (id, symbol = undefined, params = {}) {
         await this.loadMarkets();
-        let market = this.market(symbol);
-        let cancel = {
+        if (this.conditionalOrder(id)) {
+            return this.stops.cancel(id);
+        }
+        // cancelOrder needs the side of the order, which comes from params,
+        // the orders seen so far or getOrder in that order
+        let side = this.safeString2(params, 'side', 'type');
+        let order = this.safeValue(this.orders, id);
+        if ((order === undefined) || ((symbol !== undefined) && (order['symbol'] !== symbol))) {
+            order = undefined;
+            if ((side === undefined) || (symbol === undefined)) {
+                order = await this.fetchOrder(id, symbol);
+            }
+        }
+        if (order !== undefined) {
+            symbol = order['symbol'];
+            if (side === undefined) {
+                side = order['side'];
+            }
+        }
+        const market = this.market(symbol);
+        const request = {
             'pair': market['id'],
             'order_id': id,
             'type': side,
+        };
+        const response = await this.privatePostCancelOrder(this.extend(request, this.omit(params, 'side')));
+        //
+        //     {
+        //         "success": 1,
+        //         "return": {
+        //             "order_id": 666883,
+        //             "client_order_id": "clientx-sj82ks82j",
+        //             "type": "sell",
+        //             "pair": "btc_idr",
+        //             "balance": { "idr": "33605800", "btc": "0.00000000", ... }
+        //         }
+        //     }
+        //
+        const result = this.safeValue(response, 'return', {});
+        this.updateCachedBalance(result);
+        if (order === undefined) {
+            order = this.parseOrder(this.extend({ 'order_id': id }, result), market);
         }
+        const canceled = this.extend(order, {
+            'status': 'canceled',
+            'info': result,
+        });
+        this.orders[canceled['id']] = canceled;
+        return canceled;
+    }
 
-        return await this.privatePostCancelOrder(this.extend(cancel, params));
+    async cancelOrderByClientOrderId (clientOrderId, symbol = undefined, params = {}) {
+        await this.loadMarkets();
+        const response = await this.privatePostCancelByClientOrderId(this.extend({
+            'client_order_id': clientOrderId,
+        }, params));
+        //
+        //     {
+        //         "success": 1,
+        //         "return": {
+        //             "order_id": 666883,
+        //             "client_order_id": "clientx-sj82ks82j",
+        //             "type": "sell",
+        //             "pair": "btc_idr",
+        //             "balance": { "idr": "33605800", "btc": "0.00000000", ... }
+        //         }
+        //     }
+        //
+        const result = this.safeValue(response, 'return', {});
+        this.updateCachedBalance(result);
+        const market = (symbol !== undefined) ? this.market(symbol) : undefined;
+        let order = this.parseOrder(result, market);
+        const cached = this.safeValue(this.orders, order['id']);
+        if (cached !== undefined) {
+            order = cached;
+        }
+        const canceled = this.extend(order, {
+            'status': 'canceled',
+            'info': result,
+        });
+        this.orders[canceled['id']] = canceled;
+        return canceled;
+    }
 
+    async cancelAllOrders (symbol = undefined, params = {}) {
+        // cancels the open orders one by one and reports on each, an order that got
+        // filled or cancelled meanwhile is reported as missing rather than failed
+        const orders = await this.fetchOpenOrders(symbol);
+        const result = [];
+        for (let i = 0; i < orders.length; i++) {
+            const order = orders[i];
+            if (!this.enableRateLimit) {
+                // without the throttle every cancel waits its turn, the first one after openOrders as well
+                await this.sleep(this.rateLimit);
+            }
+            const report = {
+                'id': order['id'],
+                'symbol': order['symbol'],
+                'side': order['side'],
+                'status': undefined,
+                'order': undefined,
+                'error': undefined,
+            };
+            try {
+                report['order'] = await this.cancelOrder(order['id'], order['symbol'], this.extend({ 'side': order['side'] }, params));
+                report['status'] = 'canceled';
+            } catch (e) {
+                if (e instanceof OrderNotFound) {
+                    report['status'] = 'missing';
+                } else if (e instanceof ExchangeError || e instanceof NetworkError) {
+                    report['status'] = 'failed';
+                    report['error'] = e;
+                } else {
+                    throw e;
+                }
+            }
+            result.push(report);
+        }
+        return result;
     }
 
     async withdraw (code, amount, address, tag = undefined, params = {}) {
@@ -482,6 +1760,16 @@ module.exports = class indodax extends Exchange {
         await this.loadMarkets();
 
         let currency = this.currency(code);
+        if (currency['withdraw'] === false) {
+            throw new ExchangeError(this.id + ' withdrawals of ' + code + ' are suspended');
+        }
+        const minimum = this.safeFloat(this.safeValue(currency['limits'], 'withdraw', {}), 'min');
+        if ((minimum !== undefined) && (amount < minimum)) {
+            throw new BadRequest(this.id + ' withdraw amount of ' + code + ' must be at least ' + minimum.toString());
+        }
+        if (currency['memo'] && (tag === undefined)) {
+            throw new ArgumentsRequired(this.id + ' withdraw of ' + code + ' requires a tag (' + currency['memo'] + ')');
+        }
         // Custom string you need to provide to identify each withdrawal.
         // Will be passed to callback URL (assigned via website to the API key)
         // so your system can identify the request and confirm it.
@@ -524,8 +1812,12 @@ module.exports = class indodax extends Exchange {
 
     sign (path, api = 'public', method = 'GET', params = {}, headers = undefined, body = undefined) {
         let url = this.urls['api'][api];
-        if (api === 'public') {
+        if (api !== 'private') {
             url += '/' + this.implodeParams(path, params);
+            const query = this.omit(params, this.extractParams(path));
+            if (Object.keys(query).length) {
+                url += '?' + this.urlencode(query);
+            }
         } else {
             this.checkRequiredCredentials();
             body = this.urlencode(this.extend({
@@ -548,23 +1840,23 @@ module.exports = class indodax extends Exchange {
         // { success: 0, error: "invalid order." }
         // or
         // [{ data, ... }, { ... }, ... ]
-        if (Array.isArray(response) !== -1)
+        if ((response === undefined) || Array.isArray(response))
             return; // public endpoints may return []-arrays
-        if (response.indexOf('success') < 0)
-            return console.log('handleErrorIndodax: ', response); // no 'success' property on public responses
-        if (response['success'] === 1) {
+        if (!('success' in response))
+            return; // no 'success' property on public responses
+        if (this.safeInteger(response, 'success') === 1) {
             // { success: 1, return: { orders: [] }}
-            if (!('return' in response))
-                throw new ExchangeError(this.id + ': malformed response: ' + this.json(response));
-            else
-                return;
+            // withdrawCoin replies without the 'return' envelope
+            return;
         }
-        let message = response['error'];
+        let message = this.safeString(response, 'error', '');
         let feedback = this.id + ' ' + this.json(response);
         if (message === 'Insufficient balance.') {
             throw new InsufficientFunds(feedback);
         } else if (message === 'invalid order.') {
             throw new OrderNotFound(feedback); // cancelOrder(1)
+        } else if (message.toLowerCase().indexOf('order not found') >= 0) {
+            throw new OrderNotFound(feedback); // getOrder with an id from another pair
         } else if (message.indexOf('Minimum price ') >= 0) {
             throw new InvalidOrder(feedback); // price < limits.price.min, on createLimitBuyOrder ('ETH/btc', 1, 0)
         } else if (message.indexOf('Minimum order ') >= 0) {
@@ -573,6 +1865,8 @@ module.exports = class indodax extends Exchange {
             throw new AuthenticationError(feedback); // on bad apiKey
         } else if (message === 'Invalid credentials. Bad sign.') {
             throw new AuthenticationError(feedback); // on bad secret
+        } else if (message.toLowerCase().indexOf('nonce') >= 0) {
+            throw new InvalidNonce(feedback); // nonce lower than the last one, e.g. after the local clock went back
         }
         throw new ExchangeError(this.id + ': unknown error: ' + this.json(response));
     }
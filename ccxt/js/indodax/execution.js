@@ -0,0 +1,315 @@
+'use strict';
+
+//  ---------------------------------------------------------------------------
+//  slices a large parent order into child limit orders
+//
+//      twap      equal slices every params['duration'] / params['slices'] ms
+//      vwap      every params['interval'] ms a child of params['participation'] times
+//                the volume traded on the pair since the last one, from fetchTrades
+//      iceberg   one child of params['visibleAmount'] at a time, at params['limitPrice']
+//
+//  children are priced at the best price of the other side of the book, or of
+//  their own side with params['aggressive'] = false, never past params['limitPrice'],
+//  whatever a child leaves unfilled is cancelled and rolled into the next one
+//
+//  the report ends up done once the parent is filled, expired when the time ran
+//  out or what is left fell below the market minimums before that, canceled
+//  after cancel () or failed
+//
+//  a request that fails with a NetworkError is tried again up to params['retries']
+//  times, params['retryDelay'] ms apart, if the execution fails anyway the child on
+//  the book is cancelled before run () rejects
+
+const { ArgumentsRequired, BadRequest, OrderNotFound, NetworkError } = require('../base/errors');
+const { ROUND, decimalToPrecision } = require('../base/functions/number');
+
+const ALGORITHMS = [ 'twap', 'vwap', 'iceberg' ];
+
+//  ---------------------------------------------------------------------------
+
+module.exports = class Execution {
+    constructor (exchange, symbol, side, amount, params = {}) {
+        this.exchange = exchange;
+        this.market = exchange.market(symbol);
+        this.symbol = this.market['symbol'];
+        this.side = side;
+        this.amount = amount;
+        this.algorithm = exchange.safeString(params, 'algorithm', 'twap');
+        if (ALGORITHMS.indexOf(this.algorithm) < 0) {
+            throw new BadRequest(exchange.id + ' execution algorithm must be one of ' + ALGORITHMS.join(', '));
+        }
+        this.limitPrice = exchange.safeFloat(params, 'limitPrice');
+        this.aggressive = exchange.safeValue(params, 'aggressive', true);
+        this.duration = exchange.safeInteger(params, 'duration', 3600000);
+        this.slices = exchange.safeInteger(params, 'slices', 12);
+        this.interval = exchange.safeInteger(params, 'interval', (this.algorithm === 'iceberg') ? 10000 : 60000);
+        this.participation = exchange.safeFloat(params, 'participation', 0.1);
+        this.visibleAmount = exchange.safeFloat(params, 'visibleAmount');
+        this.retries = exchange.safeInteger(params, 'retries', 3);
+        this.retryDelay = exchange.safeInteger(params, 'retryDelay', 1000);
+        if (this.algorithm === 'iceberg') {
+            if ((this.limitPrice === undefined) || (this.visibleAmount === undefined)) {
+                throw new ArgumentsRequired(exchange.id + ' iceberg executions require the limitPrice and visibleAmount params');
+            }
+        }
+        // the children are sent with clientOrderIds derived from the id
+        this.id = exchange.safeString(params, 'clientOrderId', this.algorithm + '-' + exchange.milliseconds().toString());
+        this.params = exchange.omit(params, [ 'algorithm', 'limitPrice', 'aggressive', 'duration', 'slices', 'interval', 'participation', 'visibleAmount', 'retries', 'retryDelay', 'clientOrderId' ]);
+        this.orders = []; // the children, as last fetched
+        this.current = undefined; // the child on the book, until it is settled
+        this.filled = 0;
+        this.cost = 0;
+        this.arrivalPrice = undefined;
+        this.status = 'pending';
+        this.error = undefined;
+        this.timestamp = undefined;
+        this.wakeUp = undefined;
+    }
+
+    async run () {
+        // resolves with the report once the parent is filled, its time is up or it got cancelled
+        const exchange = this.exchange;
+        this.status = 'running';
+        this.timestamp = exchange.milliseconds();
+        try {
+            const orderbook = await this.retry(() => exchange.fetchOrderBook(this.symbol));
+            if (orderbook['bids'].length && orderbook['asks'].length) {
+                this.arrivalPrice = (orderbook['bids'][0][0] + orderbook['asks'][0][0]) / 2;
+            }
+            if (this.algorithm === 'twap') {
+                await this.runTwap();
+            } else if (this.algorithm === 'vwap') {
+                await this.runVwap();
+            } else {
+                await this.runIceberg();
+            }
+            if (this.status === 'running') {
+                this.status = (this.remaining() > 0) ? 'expired' : 'done';
+            }
+        } catch (e) {
+            await this.abandon();
+            this.status = 'failed';
+            this.error = e;
+            throw e;
+        }
+        return this.report();
+    }
+
+    async abandon () {
+        // takes the child of a failed execution off the book, its fills still count if they can be had
+        const order = this.current;
+        if (order === undefined) {
+            return;
+        }
+        try {
+            await this.settle(order);
+        } catch (e) {
+            try {
+                await this.exchange.cancelOrder(order['id'], this.symbol, { 'side': this.side });
+            } catch (ignored) {
+                // nothing more to be done, the report still lists the child
+            }
+        }
+    }
+
+    async retry (method) {
+        let attempt = 0;
+        while (true) {
+            try {
+                return await method();
+            } catch (e) {
+                if (!(e instanceof NetworkError) || (attempt >= this.retries)) {
+                    throw e;
+                }
+            }
+            attempt += 1;
+            await this.wait(this.retryDelay);
+        }
+    }
+
+    cancel () {
+        // the running child is cancelled as usual, no further ones are placed
+        if (this.status === 'running') {
+            this.status = 'canceled';
+        }
+        if (this.wakeUp !== undefined) {
+            this.wakeUp();
+        }
+    }
+
+    remaining () {
+        // on the amount precision, otherwise float noise leaves a satoshi behind that no child can take
+        const remaining = decimalToPrecision(this.amount - this.filled, ROUND, this.market['precision']['amount'], this.exchange.precisionMode);
+        return Math.max(0, parseFloat(remaining));
+    }
+
+    running () {
+        return (this.status === 'running') && (this.remaining() > 0);
+    }
+
+    wait (ms) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.wakeUp = undefined;
+                resolve();
+            }, ms);
+            this.wakeUp = () => {
+                clearTimeout(timer);
+                this.wakeUp = undefined;
+                resolve();
+            };
+        });
+    }
+
+    async runTwap () {
+        const interval = this.duration / this.slices;
+        for (let slice = 0; (slice < this.slices) && this.running(); slice++) {
+            const order = await this.place(this.remaining() / (this.slices - slice));
+            await this.wait(interval);
+            await this.settle(order);
+        }
+    }
+
+    async runVwap () {
+        const end = this.timestamp + this.duration;
+        let since = this.timestamp;
+        while (this.running() && (this.exchange.milliseconds() < end)) {
+            const trades = await this.retry(() => this.exchange.fetchTrades(this.symbol, since));
+            since = this.exchange.milliseconds();
+            let volume = 0;
+            for (let i = 0; i < trades.length; i++) {
+                volume += trades[i]['amount'];
+            }
+            const order = await this.place(Math.min(volume * this.participation, this.remaining()));
+            await this.wait(this.interval);
+            await this.settle(order);
+        }
+    }
+
+    async runIceberg () {
+        const end = this.timestamp + this.duration;
+        while (this.running() && (this.exchange.milliseconds() < end)) {
+            const order = await this.place(Math.min(this.visibleAmount, this.remaining()));
+            if (order === undefined) {
+                break; // what is left is too small to trade
+            }
+            // the next tip goes out once this one is done
+            while (this.running() && (this.exchange.milliseconds() < end)) {
+                await this.wait(this.interval);
+                const current = await this.retry(() => this.exchange.fetchOrder(order['id'], this.symbol));
+                if (current['status'] !== 'open') {
+                    break;
+                }
+            }
+            await this.settle(order);
+        }
+    }
+
+    async childPrice () {
+        const orderbook = await this.retry(() => this.exchange.fetchOrderBook(this.symbol));
+        const buy = (this.side === 'buy');
+        const levels = (buy === this.aggressive) ? orderbook['asks'] : orderbook['bids'];
+        let price = levels.length ? levels[0][0] : this.limitPrice;
+        if ((this.limitPrice !== undefined) && ((price === undefined) || (buy ? (price > this.limitPrice) : (price < this.limitPrice)))) {
+            price = this.limitPrice;
+        }
+        return price;
+    }
+
+    async place (amount) {
+        // returns undefined for a child below the minimums of the market, its amount carries over
+        const exchange = this.exchange;
+        const limits = this.market['limits'];
+        if (!this.running() || !(amount > 0)) {
+            return undefined;
+        }
+        const price = (this.algorithm === 'iceberg') ? this.limitPrice : await this.childPrice();
+        if (price === undefined) {
+            return undefined;
+        }
+        amount = parseFloat(exchange.amountToPrecision(this.symbol, amount));
+        const minAmount = exchange.safeFloat(limits['amount'], 'min', 0);
+        const minCost = exchange.safeFloat(limits['cost'], 'min', 0);
+        if ((amount <= 0) || (amount < minAmount) || ((amount * price) < minCost)) {
+            return undefined;
+        }
+        const clientOrderId = this.id + '-' + this.orders.length.toString();
+        const params = exchange.extend(this.params, { 'clientOrderId': clientOrderId });
+        const order = await this.retry(async () => {
+            try {
+                return await exchange.createOrder(this.symbol, 'limit', this.side, amount, price, params);
+            } catch (e) {
+                if (!(e instanceof NetworkError)) {
+                    throw e;
+                }
+                // the reply got lost, the order may still have made it
+                try {
+                    return await exchange.fetchOrderByClientOrderId(clientOrderId, this.symbol);
+                } catch (notFound) {
+                    if (notFound instanceof OrderNotFound) {
+                        throw e;
+                    }
+                    throw notFound;
+                }
+            }
+        });
+        this.orders.push(order);
+        this.current = order;
+        return order;
+    }
+
+    async settle (order) {
+        // cancels what the child left and books its fills
+        if (order === undefined) {
+            return;
+        }
+        const exchange = this.exchange;
+        await this.retry(async () => {
+            try {
+                await exchange.cancelOrder(order['id'], this.symbol, { 'side': this.side });
+            } catch (e) {
+                if (!(e instanceof OrderNotFound)) {
+                    throw e;
+                }
+            }
+        });
+        const final = await this.retry(() => exchange.fetchOrder(order['id'], this.symbol));
+        this.current = undefined;
+        this.orders[this.orders.indexOf(order)] = final;
+        const filled = final['filled'] || 0;
+        this.filled += filled;
+        if (final['cost'] !== undefined) {
+            this.cost += final['cost'];
+        } else if (final['price'] !== undefined) {
+            this.cost += filled * final['price'];
+        }
+    }
+
+    report () {
+        const average = this.filled ? (this.cost / this.filled) : undefined;
+        let slippage = undefined;
+        if ((average !== undefined) && this.arrivalPrice) {
+            // positive when the fills came out worse than the mid price on arrival
+            const difference = (this.side === 'buy') ? (average - this.arrivalPrice) : (this.arrivalPrice - average);
+            slippage = difference / this.arrivalPrice;
+        }
+        return {
+            'id': this.id,
+            'symbol': this.symbol,
+            'side': this.side,
+            'algorithm': this.algorithm,
+            'status': this.status,
+            'timestamp': this.timestamp,
+            'datetime': this.exchange.iso8601(this.timestamp),
+            'amount': this.amount,
+            'filled': this.filled,
+            'remaining': this.remaining(),
+            'cost': this.cost,
+            'average': average,
+            'arrivalPrice': this.arrivalPrice,
+            'slippage': slippage,
+            'orders': this.orders,
+            'error': this.error,
+        };
+    }
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+//  ---------------------------------------------------------------------------
+//  an in-memory order book kept up to date from snapshots and diffs
+//
+//  a diff is { 'bids': [ [ price, amount ] ], 'asks': [ ... ], 'nonce': 124 } with
+//  absolute amounts per price level, an amount of 0 removes the level, diffs must
+//  arrive with consecutive nonces, anything else is reported as a gap so that the
+//  owner can resync from a full snapshot
+
+//  ---------------------------------------------------------------------------
+
+class BookSide {
+    constructor (descending) {
+        this.descending = descending;
+        this.levels = []; // [ [ price, amount ] ] best first
+    }
+
+    better (a, b) {
+        return this.descending ? (a > b) : (a < b);
+    }
+
+    indexOf (price) {
+        // binary search for the position of price among the sorted levels
+        let low = 0;
+        let high = this.levels.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.better(this.levels[middle][0], price)) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    store (price, amount) {
+        const index = this.indexOf(price);
+        const found = (index < this.levels.length) && (this.levels[index][0] === price);
+        if (amount > 0) {
+            if (found) {
+                this.levels[index][1] = amount;
+            } else {
+                this.levels.splice(index, 0, [ price, amount ]);
+            }
+        } else if (found) {
+            this.levels.splice(index, 1);
+        }
+    }
+
+    reset (levels) {
+        this.levels = [];
+        for (let i = 0; i < levels.length; i++) {
+            this.store(levels[i][0], levels[i][1]);
+        }
+    }
+
+    diff (levels) {
+        // the changes that turn this side into the given levels, a partial snapshot
+        // says nothing about the levels past its worst price, so those are dropped
+        // rather than kept around without ever being updated again
+        const result = [];
+        if (!levels.length) {
+            return result;
+        }
+        const snapshot = new BookSide(this.descending);
+        snapshot.reset(levels);
+        const worst = snapshot.levels[snapshot.levels.length - 1][0];
+        for (let i = 0; i < this.levels.length; i++) {
+            const [ price, amount ] = this.levels[i];
+            if (this.better(worst, price)) {
+                result.push([ price, 0 ]);
+                continue;
+            }
+            const index = snapshot.indexOf(price);
+            const found = (index < snapshot.levels.length) && (snapshot.levels[index][0] === price);
+            if (!found) {
+                result.push([ price, 0 ]);
+            } else if (snapshot.levels[index][1] !== amount) {
+                result.push([ price, snapshot.levels[index][1] ]);
+            }
+        }
+        for (let i = 0; i < snapshot.levels.length; i++) {
+            const [ price, amount ] = snapshot.levels[i];
+            const index = this.indexOf(price);
+            if ((index >= this.levels.length) || (this.levels[index][0] !== price)) {
+                result.push([ price, amount ]);
+            }
+        }
+        return result;
+    }
+}
+
+//  ---------------------------------------------------------------------------
+
+module.exports = class LocalOrderBook {
+    constructor (symbol) {
+        this.symbol = symbol;
+        this.bidsSide = new BookSide(true);
+        this.asksSide = new BookSide(false);
+        this.nonce = undefined;
+        this.timestamp = undefined;
+        this.synced = false; // false until the first snapshot and after a gap
+        this.syncing = undefined; // the pending resync
+        this.stream = undefined; // the websocket subscription feeding the book
+        this.error = undefined; // why the stream stopped
+    }
+
+    reset (snapshot) {
+        this.bidsSide.reset(snapshot['bids'] || []);
+        this.asksSide.reset(snapshot['asks'] || []);
+        this.nonce = snapshot['nonce'];
+        this.timestamp = snapshot['timestamp'];
+        this.synced = true;
+        return this;
+    }
+
+    diff (snapshot) {
+        return {
+            'bids': this.bidsSide.diff(snapshot['bids'] || []),
+            'asks': this.asksSide.diff(snapshot['asks'] || []),
+            'nonce': snapshot['nonce'],
+            'timestamp': snapshot['timestamp'],
+        };
+    }
+
+    update (diff) {
+        // returns false and leaves the book untouched when the diff does not follow the last one
+        const nonce = diff['nonce'];
+        if (!this.synced) {
+            return false;
+        }
+        if ((nonce !== undefined) && (this.nonce !== undefined)) {
+            if (nonce <= this.nonce) {
+                return true; // already applied
+            }
+            if (nonce !== this.nonce + 1) {
+                this.synced = false;
+                return false;
+            }
+        }
+        const bids = diff['bids'] || [];
+        for (let i = 0; i < bids.length; i++) {
+            this.bidsSide.store(bids[i][0], bids[i][1]);
+        }
+        const asks = diff['asks'] || [];
+        for (let i = 0; i < asks.length; i++) {
+            this.asksSide.store(asks[i][0], asks[i][1]);
+        }
+        if (nonce !== undefined) {
+            this.nonce = nonce;
+        }
+        if (diff['timestamp'] !== undefined) {
+            this.timestamp = diff['timestamp'];
+        }
+        return true;
+    }
+
+    get bids () {
+        return this.bidsSide.levels;
+    }
+
+    get asks () {
+        return this.asksSide.levels;
+    }
+
+    bestBid () {
+        return this.bids[0];
+    }
+
+    bestAsk () {
+        return this.asks[0];
+    }
+
+    spread () {
+        const bid = this.bestBid();
+        const ask = this.bestAsk();
+        return ((bid === undefined) || (ask === undefined)) ? undefined : (ask[0] - bid[0]);
+    }
+
+    depth (levels = undefined) {
+        // a unified order book of the top levels
+        return {
+            'symbol': this.symbol,
+            'bids': this.bids.slice(0, levels).map((level) => level.slice()),
+            'asks': this.asks.slice(0, levels).map((level) => level.slice()),
+            'timestamp': this.timestamp,
+            'datetime': (this.timestamp === undefined) ? undefined : new Date(this.timestamp).toISOString(),
+            'nonce': this.nonce,
+        };
+    }
+
+    cumulative (side, levels = undefined) {
+        // [ [ price, amount, running total of amount ] ] from the best price outwards
+        const book = (side === 'bids') ? this.bids : this.asks;
+        const count = (levels === undefined) ? book.length : Math.min(levels, book.length);
+        const result = [];
+        let total = 0;
+        for (let i = 0; i < count; i++) {
+            total += book[i][1];
+            result.push([ book[i][0], book[i][1], total ]);
+        }
+        return result;
+    }
+
+    volume (side, price) {
+        // the total amount offered on a side at prices at least as good as price
+        const bookSide = (side === 'bids') ? this.bidsSide : this.asksSide;
+        let total = 0;
+        for (let i = 0; i < bookSide.levels.length; i++) {
+            const level = bookSide.levels[i];
+            if (bookSide.better(price, level[0])) {
+                break;
+            }
+            total += level[1];
+        }
+        return total;
+    }
+};
@@ -0,0 +1,700 @@
+'use strict';
+
+//  ---------------------------------------------------------------------------
+//  client side conditional orders, indodax itself only knows limit and market orders
+//
+//      stop_limit    sells below / buys above stopPrice with a limit order at price
+//      stop_market   sells below / buys above stopPrice at market
+//      take_profit   sells above / buys below stopPrice, at price or at market without one
+//      trailing_stop sells when the bid falls params['trailingPercent'] % or params['trailingAmount']
+//                    below its best level since, buys mirror that with the ask, stopPrice follows
+//                    along and the exit is at market or, with params['exit'] = 'limit', at stopPrice
+//
+//  conditional orders wait in a journal until the ticker crosses their stopPrice,
+//  the real order then goes out with the clientOrderId of the conditional one, so
+//  that after a crash between placing it and writing the journal the order is
+//  found again instead of being placed twice
+//
+//  an oco group pairs a real limit order with a stop, the stop follows the fills of
+//  the limit order and once the stop triggers the limit order is cancelled before
+//  the stop goes out, so both are never live at the same time
+
+const { ExchangeError, ArgumentsRequired, InvalidOrder, OrderNotFound, NetworkError } = require('../base/errors');
+const { isNode } = require('../base/functions/platform');
+
+const TYPES = [ 'stop_limit', 'stop_market', 'take_profit', 'trailing_stop' ];
+
+//  ---------------------------------------------------------------------------
+
+class MemoryStorage {
+    constructor () {
+        this.state = undefined;
+    }
+
+    load () {
+        return this.state;
+    }
+
+    save (state) {
+        this.state = JSON.parse(JSON.stringify(state));
+    }
+}
+
+class FileStorage {
+    constructor (file) {
+        const requireFunction = require;
+        this.fs = requireFunction('fs'); // eslint-disable-line global-require
+        this.file = file;
+    }
+
+    load () {
+        if (!this.fs.existsSync(this.file)) {
+            return undefined;
+        }
+        return JSON.parse(this.fs.readFileSync(this.file, 'utf8'));
+    }
+
+    save (state) {
+        // write aside and rename, so that a crash never leaves half a journal behind
+        const temporary = this.file + '.tmp';
+        this.fs.writeFileSync(temporary, JSON.stringify(state, undefined, 2));
+        this.fs.renameSync(temporary, this.file);
+    }
+}
+
+//  ---------------------------------------------------------------------------
+
+module.exports = class StopEngine {
+    constructor (exchange, options = {}) {
+        this.exchange = exchange;
+        if (options['storage'] !== undefined) {
+            // anything with load () and save (state), e.g. for browsers
+            this.storage = options['storage'];
+        } else if (isNode && (options['file'] !== undefined)) {
+            this.storage = new FileStorage(options['file']);
+        } else {
+            // a stop that is silently gone after a restart is worse than none at all
+            throw new ExchangeError(exchange.id + ' conditional and oco orders require a journal that survives restarts, set options["stops"]["file"] or options["stops"]["storage"]');
+        }
+        this.feed = options['feed'] || 'polling';
+        this.pollInterval = options['pollInterval'] || 5000;
+        this.state = undefined; // { 'orders': { id: conditional order }, 'groups': { id: oco group } }, see load
+        this.timer = undefined;
+        this.polling = false;
+        this.lock = Promise.resolve(); // the tail of the rounds waiting on each other, see exclusive
+        this.streams = {}; // symbol → ticker subscription of the websocket feed
+        this.counter = 0;
+        this.lastError = undefined; // of the last round, the next one tries again
+    }
+
+    static isConditional (type) {
+        return TYPES.indexOf(type) >= 0;
+    }
+
+    account () {
+        // a journal only ever fires the orders of the key that wrote it, the key itself stays out of the file
+        const apiKey = this.exchange.apiKey || '';
+        return this.exchange.hash(this.exchange.encode(apiKey), 'sha256').slice(0, 16);
+    }
+
+    load () {
+        if (this.state === undefined) {
+            const state = this.storage.load() || {};
+            const account = this.account();
+            if ((state['account'] !== undefined) && (state['account'] !== account)) {
+                throw new ExchangeError(this.exchange.id + ' the conditional order journal belongs to another apiKey, give every account a journal of its own');
+            }
+            state['account'] = account;
+            if (state['orders'] === undefined) {
+                state['orders'] = {};
+            }
+            if (state['groups'] === undefined) {
+                state['groups'] = {};
+            }
+            this.state = state;
+        }
+        return this.state;
+    }
+
+    save () {
+        this.storage.save(this.load());
+    }
+
+    has (id) {
+        return (id !== undefined) && (id in this.load()['orders']);
+    }
+
+    generateId (prefix) {
+        this.counter += 1;
+        return prefix + '-' + this.exchange.milliseconds().toString() + '-' + this.counter.toString();
+    }
+
+    async create (symbol, type, side, amount, price = undefined, params = {}) {
+        await this.exchange.loadMarkets();
+        const conditional = this.add(symbol, type, side, amount, price, params);
+        if (conditional['stopPrice'] === undefined) {
+            // a trailing stop starts out from the current bid or ask
+            try {
+                this.trail(conditional, await this.exchange.fetchTicker(symbol));
+            } catch (e) {
+                delete this.load()['orders'][conditional['id']];
+                throw e;
+            }
+        }
+        this.save();
+        this.start();
+        return this.parseConditional(conditional);
+    }
+
+    add (symbol, type, side, amount, price = undefined, params = {}, group = undefined) {
+        const exchange = this.exchange;
+        const market = exchange.market(symbol);
+        const stopPrice = exchange.safeFloat(params, 'stopPrice');
+        const trailingPercent = exchange.safeFloat(params, 'trailingPercent');
+        const trailingAmount = exchange.safeFloat(params, 'trailingAmount');
+        if (type === 'trailing_stop') {
+            if ((trailingPercent === undefined) && (trailingAmount === undefined)) {
+                throw new ArgumentsRequired(exchange.id + ' trailing_stop orders require a trailingPercent or a trailingAmount param');
+            }
+        } else if (stopPrice === undefined) {
+            throw new ArgumentsRequired(exchange.id + ' ' + type + ' orders require a stopPrice param');
+        }
+        if ((type === 'stop_limit') && (price === undefined)) {
+            throw new ArgumentsRequired(exchange.id + ' stop_limit orders require a price argument');
+        }
+        if ((amount === undefined) || (amount <= 0)) {
+            throw new InvalidOrder(exchange.id + ' ' + type + ' orders require a positive amount');
+        }
+        const id = exchange.safeString(params, 'clientOrderId', this.generateId('stop'));
+        const conditional = {
+            'id': id,
+            'clientOrderId': id,
+            'symbol': market['symbol'],
+            'type': type,
+            'side': side,
+            'amount': amount,
+            'price': price,
+            'stopPrice': stopPrice,
+            'trailingPercent': trailingPercent,
+            'trailingAmount': trailingAmount,
+            'exit': exchange.safeString(params, 'exit', 'market'),
+            'params': exchange.omit(params, [ 'stopPrice', 'clientOrderId', 'trailingPercent', 'trailingAmount', 'exit' ]),
+            'status': 'pending',
+            'timestamp': exchange.milliseconds(),
+            'triggerTimestamp': undefined,
+            'orderId': undefined,
+            'error': undefined,
+            'group': group,
+        };
+        this.load()['orders'][id] = conditional;
+        return conditional;
+    }
+
+    cancel (id) {
+        const conditional = this.load()['orders'][id];
+        if ((conditional === undefined) || (conditional['status'] !== 'pending')) {
+            throw new OrderNotFound(this.exchange.id + ' no pending conditional order ' + id);
+        }
+        if (conditional['group'] !== undefined) {
+            throw new InvalidOrder(this.exchange.id + ' ' + id + ' is the stop of oco order ' + conditional['group'] + ', cancel it with cancelOcoOrder');
+        }
+        conditional['status'] = 'canceled';
+        this.save();
+        this.start(); // drops the feed of a symbol nobody waits on anymore
+        return this.parseConditional(conditional);
+    }
+
+    async fetch (id) {
+        const conditional = this.load()['orders'][id];
+        if (conditional === undefined) {
+            throw new OrderNotFound(this.exchange.id + ' no conditional order ' + id);
+        }
+        const result = this.parseConditional(conditional);
+        if (conditional['status'] !== 'triggered') {
+            return result;
+        }
+        // from then on the real order tells how far the stop got
+        const order = await this.exchange.fetchOrder(conditional['orderId'], conditional['symbol']);
+        return this.exchange.extend(result, {
+            'lastTradeTimestamp': order['lastTradeTimestamp'],
+            'cost': order['cost'],
+            'average': order['average'],
+            'filled': order['filled'],
+            'remaining': order['remaining'],
+            'status': order['status'],
+            'fee': order['fee'],
+        });
+    }
+
+    pending (symbol = undefined) {
+        // the conditional orders still waiting for their trigger, triggering ones included
+        const orders = Object.values(this.load()['orders']);
+        const result = [];
+        for (let i = 0; i < orders.length; i++) {
+            const conditional = orders[i];
+            if ((conditional['status'] === 'pending') || (conditional['status'] === 'triggering')) {
+                if ((symbol === undefined) || (conditional['symbol'] === symbol)) {
+                    result.push(conditional);
+                }
+            }
+        }
+        return result;
+    }
+
+    parseConditional (conditional) {
+        const statuses = {
+            'pending': 'open',
+            'triggering': 'open',
+            'triggered': 'open', // as far as the journal knows, fetch () asks the real order
+            'canceled': 'canceled',
+            'failed': 'rejected',
+        };
+        const timestamp = conditional['timestamp'];
+        return {
+            'id': conditional['id'],
+            'clientOrderId': conditional['clientOrderId'],
+            'info': conditional,
+            'timestamp': timestamp,
+            'datetime': this.exchange.iso8601(timestamp),
+            'lastTradeTimestamp': undefined,
+            'symbol': conditional['symbol'],
+            'type': conditional['type'],
+            'side': conditional['side'],
+            'price': conditional['price'],
+            'stopPrice': conditional['stopPrice'],
+            'orderId': conditional['orderId'], // of the real order once triggered
+            'cost': undefined,
+            'average': undefined,
+            'amount': conditional['amount'],
+            'filled': 0,
+            'remaining': conditional['amount'],
+            'status': statuses[conditional['status']],
+            'fee': undefined,
+        };
+    }
+
+    referencePrice (conditional, ticker) {
+        // trailing stops follow the side of the book they would trade against
+        if (conditional['type'] !== 'trailing_stop') {
+            return ticker['last'];
+        }
+        const key = (conditional['side'] === 'sell') ? 'bid' : 'ask';
+        return (ticker[key] !== undefined) ? ticker[key] : ticker['last'];
+    }
+
+    trail (conditional, ticker) {
+        // moves stopPrice of a trailing stop towards the market, never away from it
+        const price = this.referencePrice(conditional, ticker);
+        if (price === undefined) {
+            return false;
+        }
+        const offset = (conditional['trailingAmount'] !== undefined) ? conditional['trailingAmount'] : (price * conditional['trailingPercent'] / 100);
+        const sell = (conditional['side'] === 'sell');
+        const stopPrice = sell ? (price - offset) : (price + offset);
+        const current = conditional['stopPrice'];
+        if ((current === undefined) || (sell ? (stopPrice > current) : (stopPrice < current))) {
+            conditional['stopPrice'] = stopPrice;
+            return true;
+        }
+        return false;
+    }
+
+    isTriggered (conditional, ticker) {
+        const price = this.referencePrice(conditional, ticker);
+        if (price === undefined) {
+            return false;
+        }
+        // stops guard against the price moving against the position, take profits wait for it to move in favour
+        const rising = (conditional['type'] === 'take_profit') ? (conditional['side'] === 'sell') : (conditional['side'] === 'buy');
+        return rising ? (price >= conditional['stopPrice']) : (price <= conditional['stopPrice']);
+    }
+
+    async check (symbol, ticker) {
+        const orders = this.pending(symbol);
+        for (let i = 0; i < orders.length; i++) {
+            const conditional = orders[i];
+            if (conditional['status'] !== 'pending') {
+                continue;
+            }
+            if ((conditional['type'] === 'trailing_stop') && this.trail(conditional, ticker)) {
+                this.save();
+            }
+            if (this.isTriggered(conditional, ticker)) {
+                await this.trigger(conditional);
+            }
+        }
+    }
+
+    async trigger (conditional) {
+        conditional['status'] = 'triggering';
+        conditional['triggerTimestamp'] = this.exchange.milliseconds();
+        if ((conditional['type'] === 'trailing_stop') && (conditional['exit'] === 'limit')) {
+            conditional['price'] = parseFloat(this.exchange.priceToPrecision(conditional['symbol'], conditional['stopPrice']));
+        }
+        this.save();
+        if (conditional['group'] !== undefined) {
+            await this.releaseGroup(conditional);
+            if (conditional['status'] !== 'triggering') {
+                return;
+            }
+        }
+        await this.place(conditional);
+    }
+
+    async place (conditional) {
+        const limit = (conditional['type'] !== 'stop_market') && (conditional['price'] !== undefined);
+        const params = this.exchange.extend(conditional['params'], { 'clientOrderId': conditional['clientOrderId'] });
+        try {
+            const order = await this.exchange.createOrder(conditional['symbol'], limit ? 'limit' : 'market', conditional['side'], conditional['amount'], conditional['price'], params);
+            conditional['status'] = 'triggered';
+            conditional['orderId'] = order['id'];
+            this.closeGroup(conditional, 'done');
+        } catch (e) {
+            if (e instanceof NetworkError) {
+                // the order may have gone through, recover () finds out on the next round
+                return;
+            }
+            conditional['status'] = 'failed';
+            conditional['error'] = e.message;
+            this.closeGroup(conditional, 'failed');
+        }
+        this.save();
+    }
+
+    async recover (conditional) {
+        // a triggering order either made it to the exchange under its clientOrderId or has to be placed again
+        if (conditional['group'] !== undefined) {
+            // cancelling the limit order again is harmless, placing the stop while it is live is not
+            await this.releaseGroup(conditional);
+            if (conditional['status'] !== 'triggering') {
+                return;
+            }
+        }
+        try {
+            const order = await this.exchange.fetchOrderByClientOrderId(conditional['clientOrderId'], conditional['symbol']);
+            conditional['status'] = 'triggered';
+            conditional['orderId'] = order['id'];
+            this.closeGroup(conditional, 'done');
+            this.save();
+        } catch (e) {
+            if (!(e instanceof OrderNotFound)) {
+                throw e;
+            }
+            await this.place(conditional);
+        }
+    }
+
+    groups (status) {
+        return Object.values(this.load()['groups']).filter((group) => group['status'] === status);
+    }
+
+    async createOco (symbol, side, amount, limitPrice, stopPrice, params = {}) {
+        // params['stopLimitPrice'] makes the stop a stop_limit instead of a stop_market
+        const exchange = this.exchange;
+        await exchange.loadMarkets();
+        const market = exchange.market(symbol);
+        if ((limitPrice === undefined) || (stopPrice === undefined)) {
+            throw new ArgumentsRequired(exchange.id + ' createOcoOrder requires a limitPrice and a stopPrice');
+        }
+        if ((amount === undefined) || (amount <= 0)) {
+            throw new InvalidOrder(exchange.id + ' createOcoOrder requires a positive amount');
+        }
+        const id = this.generateId('oco');
+        const group = {
+            'id': id,
+            'symbol': market['symbol'],
+            'side': side,
+            'amount': amount,
+            'limitPrice': limitPrice,
+            'stopPrice': stopPrice,
+            'stopLimitPrice': exchange.safeFloat(params, 'stopLimitPrice'),
+            'params': exchange.omit(params, 'stopLimitPrice'),
+            'limitClientOrderId': id + '-limit',
+            'limitOrderId': undefined,
+            'stopId': undefined,
+            'filled': 0,
+            'status': 'placing', // then active, stopping and finally done, canceled or failed
+            'timestamp': exchange.milliseconds(),
+        };
+        this.load()['groups'][id] = group;
+        this.save();
+        try {
+            await this.exclusive(() => this.placeGroup(group, true));
+        } catch (e) {
+            if (!(e instanceof NetworkError)) {
+                throw e;
+            }
+            // the limit order may have gone through, the next poll () finds out and finishes
+            // the group, which the caller gets back as placing rather than placing another one
+        } finally {
+            this.start();
+        }
+        return this.parseGroup(group);
+    }
+
+    async placeGroup (group, fresh) {
+        // the limit order goes out under a clientOrderId of its own, so a crash in between is recovered by looking it up
+        const exchange = this.exchange;
+        if (group['limitOrderId'] === undefined) {
+            let order = undefined;
+            if (!fresh) {
+                try {
+                    order = await exchange.fetchOrderByClientOrderId(group['limitClientOrderId'], group['symbol']);
+                } catch (e) {
+                    if (!(e instanceof OrderNotFound)) {
+                        throw e;
+                    }
+                }
+            }
+            if (order === undefined) {
+                const params = exchange.extend(group['params'], { 'clientOrderId': group['limitClientOrderId'] });
+                try {
+                    order = await exchange.createOrder(group['symbol'], 'limit', group['side'], group['amount'], group['limitPrice'], params);
+                } catch (e) {
+                    if (!(e instanceof NetworkError)) {
+                        group['status'] = 'failed';
+                        this.save();
+                    }
+                    throw e;
+                }
+            }
+            group['limitOrderId'] = order['id'];
+            this.save();
+        }
+        if (group['stopId'] === undefined) {
+            const type = (group['stopLimitPrice'] === undefined) ? 'stop_market' : 'stop_limit';
+            const params = exchange.extend(group['params'], { 'stopPrice': group['stopPrice'] });
+            const conditional = this.add(group['symbol'], type, group['side'], group['amount'], group['stopLimitPrice'], params, group['id']);
+            group['stopId'] = conditional['id'];
+        }
+        group['status'] = 'active';
+        this.save();
+    }
+
+    async syncGroup (group) {
+        // follows the fills of the limit order, the stop only covers what is left
+        const stop = this.load()['orders'][group['stopId']];
+        const order = await this.exchange.fetchOrder(group['limitOrderId'], group['symbol']);
+        if ((group['status'] !== 'active') || (stop['status'] !== 'pending')) {
+            return; // the stop took over meanwhile
+        }
+        const filled = order['filled'] || 0;
+        const remaining = group['amount'] - filled;
+        if ((order['status'] === 'closed') || (order['status'] === 'canceled') || (remaining <= 0)) {
+            // filled, or cancelled by hand which ends the group as well
+            stop['status'] = 'canceled';
+            group['status'] = (order['status'] === 'canceled') ? 'canceled' : 'done';
+        } else {
+            stop['amount'] = remaining;
+        }
+        group['filled'] = filled;
+        this.save();
+    }
+
+    async releaseGroup (conditional) {
+        // cancels the limit order of a triggered stop and shrinks the stop to what the limit order left
+        const exchange = this.exchange;
+        const group = this.load()['groups'][conditional['group']];
+        group['status'] = 'stopping';
+        this.save();
+        try {
+            await exchange.cancelOrder(group['limitOrderId'], group['symbol'], { 'side': group['side'] });
+        } catch (e) {
+            if (!(e instanceof OrderNotFound)) {
+                throw e;
+            }
+        }
+        const order = await exchange.fetchOrder(group['limitOrderId'], group['symbol']);
+        group['filled'] = order['filled'] || 0;
+        const remaining = group['amount'] - group['filled'];
+        const minimum = exchange.safeFloat(exchange.market(group['symbol'])['limits']['amount'], 'min', 0);
+        if ((remaining <= 0) || (remaining < minimum)) {
+            conditional['status'] = 'canceled';
+            group['status'] = 'done';
+        } else {
+            conditional['amount'] = remaining;
+        }
+        this.save();
+    }
+
+    closeGroup (conditional, status) {
+        if (conditional['group'] !== undefined) {
+            this.load()['groups'][conditional['group']]['status'] = status;
+        }
+    }
+
+    async cancelOco (id) {
+        const group = this.load()['groups'][id];
+        if ((group === undefined) || (group['status'] !== 'active')) {
+            throw new OrderNotFound(this.exchange.id + ' no active oco order ' + id);
+        }
+        // the stop is local, so it goes first and cannot trigger while the limit order is being cancelled
+        this.load()['orders'][group['stopId']]['status'] = 'canceled';
+        group['status'] = 'canceled';
+        this.save();
+        try {
+            await this.exchange.cancelOrder(group['limitOrderId'], group['symbol'], { 'side': group['side'] });
+        } catch (e) {
+            if (!(e instanceof OrderNotFound)) {
+                throw e;
+            }
+        }
+        this.start();
+        return this.parseGroup(group);
+    }
+
+    fetchOco (id) {
+        const group = this.load()['groups'][id];
+        if (group === undefined) {
+            throw new OrderNotFound(this.exchange.id + ' no oco order ' + id);
+        }
+        return this.parseGroup(group);
+    }
+
+    parseGroup (group) {
+        const orders = [];
+        const limitOrder = this.exchange.safeValue(this.exchange.orders, group['limitOrderId']);
+        if (limitOrder !== undefined) {
+            orders.push(limitOrder);
+        }
+        const stop = this.load()['orders'][group['stopId']];
+        if (stop !== undefined) {
+            orders.push(this.parseConditional(stop));
+        }
+        return {
+            'id': group['id'],
+            'info': group,
+            'timestamp': group['timestamp'],
+            'datetime': this.exchange.iso8601(group['timestamp']),
+            'symbol': group['symbol'],
+            'side': group['side'],
+            'amount': group['amount'],
+            'filled': group['filled'],
+            'limitPrice': group['limitPrice'],
+            'stopPrice': group['stopPrice'],
+            'status': group['status'],
+            'orders': orders,
+        };
+    }
+
+    start () {
+        // runs while there are pending orders, the timer keeps the process alive meanwhile
+        const symbols = this.exchange.unique(this.pending().map((conditional) => conditional['symbol']));
+        if (!symbols.length && !this.groups('placing').length) {
+            this.stop();
+            return;
+        }
+        if (this.timer === undefined) {
+            this.timer = setInterval(() => this.poll(), this.pollInterval);
+        }
+        if (this.feed === 'websocket') {
+            this.subscribe(symbols);
+        }
+    }
+
+    stop () {
+        if (this.timer !== undefined) {
+            clearInterval(this.timer);
+            this.timer = undefined;
+        }
+        const symbols = Object.keys(this.streams);
+        for (let i = 0; i < symbols.length; i++) {
+            this.streams[symbols[i]].close();
+        }
+        this.streams = {};
+    }
+
+    subscribe (symbols) {
+        const current = Object.keys(this.streams);
+        for (let i = 0; i < current.length; i++) {
+            if (symbols.indexOf(current[i]) < 0) {
+                this.streams[current[i]].close();
+                delete this.streams[current[i]];
+            }
+        }
+        for (let i = 0; i < symbols.length; i++) {
+            const symbol = symbols[i];
+            if (symbol in this.streams) {
+                continue;
+            }
+            const stream = this.exchange.watchTicker(symbol);
+            this.streams[symbol] = stream;
+            const pump = async () => {
+                while (true) {
+                    const message = await stream.next();
+                    if (message['done']) {
+                        return;
+                    }
+                    await this.exclusive(() => this.check(symbol, message['value']));
+                }
+            };
+            pump().catch(() => {
+                // the polling timer keeps going, the next start () resubscribes
+                if (this.streams[symbol] === stream) {
+                    delete this.streams[symbol];
+                }
+            });
+        }
+    }
+
+    async exclusive (method) {
+        // runs one round at a time, otherwise poll () could take an order that a websocket
+        // check () is still placing for a lost one, recover () it and place it a second time
+        const previous = this.lock;
+        let release = undefined;
+        this.lock = new Promise((resolve) => {
+            release = resolve;
+        });
+        await previous;
+        try {
+            return await method();
+        } finally {
+            release();
+        }
+    }
+
+    async poll () {
+        if (this.polling) {
+            return; // the timer fired again before the last round was over
+        }
+        this.polling = true;
+        try {
+            await this.exclusive(async () => {
+                const placing = this.groups('placing');
+                for (let i = 0; i < placing.length; i++) {
+                    await this.placeGroup(placing[i], false);
+                }
+                const active = this.groups('active');
+                for (let i = 0; i < active.length; i++) {
+                    await this.syncGroup(active[i]);
+                }
+                const orders = this.pending();
+                for (let i = 0; i < orders.length; i++) {
+                    if (orders[i]['status'] === 'triggering') {
+                        await this.recover(orders[i]);
+                    }
+                }
+                if (this.feed !== 'websocket') {
+                    // one request for every pair
+                    const symbols = this.exchange.unique(this.pending().map((conditional) => conditional['symbol']));
+                    if (symbols.length) {
+                        const tickers = await this.exchange.fetchTickers(symbols);
+                        for (let i = 0; i < symbols.length; i++) {
+                            if (symbols[i] in tickers) {
+                                await this.check(symbols[i], tickers[symbols[i]]);
+                            }
+                        }
+                    }
+                }
+            });
+            this.start();
+            this.lastError = undefined;
+        } catch (e) {
+            this.lastError = e;
+        } finally {
+            this.polling = false;
+        }
+    }
+};
+
+module.exports.MemoryStorage = MemoryStorage;
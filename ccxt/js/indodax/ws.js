@@ -0,0 +1,385 @@
+'use strict';
+
+//  ---------------------------------------------------------------------------
+//  a minimal client for the Centrifugo based public websocket of Indodax
+//
+//      connect       { "params": { "token": "..." }, "id": 1 }
+//      subscribe     { "method": 1, "params": { "channel": "market:summary-24h" }, "id": 2 }
+//      unsubscribe   { "method": 2, "params": { "channel": "market:summary-24h" }, "id": 3 }
+//      ping          { "method": 7, "id": 4 }
+//      publication   { "result": { "channel": "market:summary-24h", "data": { "data": [ ... ], "offset": 123 } } }
+//
+//  every watch* call gets its own Subscription, an async iterator over the
+//  parsed messages of one channel, channels are shared between subscriptions
+//  and resubscribed after a reconnect
+
+const { NetworkError, NotSupported, ExchangeError } = require('../base/errors');
+
+let DefaultWebSocket = (typeof WebSocket === 'undefined') ? undefined : WebSocket; // eslint-disable-line no-undef
+if (DefaultWebSocket === undefined) {
+    try {
+        const requireFunction = require;
+        DefaultWebSocket = requireFunction('ws'); // eslint-disable-line global-require
+    } catch (e) {
+        // nothing, options['ws']['WebSocket'] can still be set
+    }
+}
+
+const CONNECT = 0;
+const SUBSCRIBE = 1;
+const UNSUBSCRIBE = 2;
+const PING = 7;
+
+//  ---------------------------------------------------------------------------
+
+class Subscription {
+    constructor (client, maxQueue) {
+        this.client = client;
+        this.maxQueue = maxQueue;
+        this.channel = undefined;
+        this.parse = undefined;
+        this.queue = [];
+        this.waiters = [];
+        this.error = undefined;
+        this.closed = false;
+    }
+
+    push (data, offset) {
+        const value = this.parse(data, offset);
+        if (value === undefined) {
+            return;
+        }
+        if (this.waiters.length) {
+            this.waiters.shift().resolve({ 'value': value, 'done': false });
+        } else {
+            this.queue.push(value);
+            // a slow consumer only ever needs the latest updates
+            if (this.queue.length > this.maxQueue) {
+                this.queue.shift();
+            }
+        }
+    }
+
+    fail (error) {
+        this.error = error;
+        const waiters = this.waiters;
+        this.waiters = [];
+        for (let i = 0; i < waiters.length; i++) {
+            waiters[i].reject(error);
+        }
+        this.close();
+    }
+
+    next () {
+        if (this.queue.length) {
+            return Promise.resolve({ 'value': this.queue.shift(), 'done': false });
+        }
+        if (this.error !== undefined) {
+            const error = this.error;
+            this.error = undefined;
+            return Promise.reject(error);
+        }
+        if (this.closed) {
+            return Promise.resolve({ 'value': undefined, 'done': true });
+        }
+        return new Promise((resolve, reject) => {
+            this.waiters.push({ 'resolve': resolve, 'reject': reject });
+        });
+    }
+
+    return () {
+        this.close();
+        return Promise.resolve({ 'value': undefined, 'done': true });
+    }
+
+    close () {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        const waiters = this.waiters;
+        this.waiters = [];
+        for (let i = 0; i < waiters.length; i++) {
+            waiters[i].resolve({ 'value': undefined, 'done': true });
+        }
+        this.client.remove(this);
+    }
+
+    [Symbol.asyncIterator] () {
+        return this;
+    }
+}
+
+//  ---------------------------------------------------------------------------
+
+module.exports = class IndodaxWs {
+    constructor (exchange, options = {}) {
+        this.exchange = exchange;
+        this.url = options['url'];
+        this.token = options['token'];
+        this.WebSocket = options['WebSocket'] || DefaultWebSocket;
+        this.reconnectDelay = options['reconnectDelay'] || 1000;
+        this.maxReconnectDelay = options['maxReconnectDelay'] || 30000;
+        this.pingInterval = options['pingInterval'] || 25000;
+        this.maxQueue = options['maxQueue'] || 1000;
+        this.subscriptions = {}; // channel → [ Subscription ]
+        this.socket = undefined;
+        this.connected = undefined; // a promise while connecting or connected
+        this.ready = false; // true once the connect command went through
+        this.pending = {}; // command id → { resolve, reject }
+        this.commandId = 0;
+        this.attempts = 0;
+        this.pingTimer = undefined;
+        this.reconnectTimer = undefined;
+    }
+
+    subscribe (prepare) {
+        // prepare () resolves to { channel, parse }, it usually has to load the markets first
+        const subscription = new Subscription(this, this.maxQueue);
+        Promise.resolve().then(prepare).then((result) => {
+            if (subscription.closed) {
+                return;
+            }
+            subscription.channel = result['channel'];
+            subscription.parse = result['parse'];
+            this.add(subscription);
+        }).catch((e) => subscription.fail(e));
+        return subscription;
+    }
+
+    add (subscription) {
+        const channel = subscription.channel;
+        const isNew = !(channel in this.subscriptions);
+        if (isNew) {
+            this.subscriptions[channel] = [];
+        }
+        this.subscriptions[channel].push(subscription);
+        if (this.connected === undefined) {
+            // subscribes to every channel once connected
+            this.connect().catch(() => this.scheduleReconnect());
+        } else if (isNew && this.ready) {
+            // otherwise the connect handler subscribes to it along with the rest
+            this.command(SUBSCRIBE, { 'channel': channel }).catch((e) => this.failChannel(channel, e));
+        }
+    }
+
+    remove (subscription) {
+        const channel = subscription.channel;
+        if ((channel === undefined) || !(channel in this.subscriptions)) {
+            return;
+        }
+        const subscriptions = this.subscriptions[channel].filter((s) => s !== subscription);
+        if (subscriptions.length) {
+            this.subscriptions[channel] = subscriptions;
+            return;
+        }
+        delete this.subscriptions[channel];
+        if (!Object.keys(this.subscriptions).length) {
+            // nobody is listening anymore, reconnect lazily on the next subscription
+            this.disconnect();
+        } else if (this.isOpen()) {
+            this.command(UNSUBSCRIBE, { 'channel': channel }).catch(() => {});
+        }
+    }
+
+    failChannel (channel, error) {
+        const subscriptions = (this.subscriptions[channel] || []).slice();
+        for (let i = 0; i < subscriptions.length; i++) {
+            subscriptions[i].fail(error);
+        }
+    }
+
+    failAll (error) {
+        const channels = Object.keys(this.subscriptions);
+        for (let i = 0; i < channels.length; i++) {
+            this.failChannel(channels[i], error);
+        }
+    }
+
+    isOpen () {
+        return (this.socket !== undefined) && (this.socket.readyState === 1);
+    }
+
+    connect () {
+        if (this.connected !== undefined) {
+            return this.connected;
+        }
+        if (this.WebSocket === undefined) {
+            const error = new NotSupported(this.exchange.id + ' websocket streaming requires the ws package in Node.js or options["ws"]["WebSocket"]');
+            this.failAll(error);
+            return Promise.reject(error);
+        }
+        this.connected = new Promise((resolve, reject) => {
+            const socket = new this.WebSocket(this.url);
+            this.socket = socket;
+            socket.onopen = () => {
+                const params = {};
+                if (this.token !== undefined) {
+                    params['token'] = this.token;
+                }
+                this.command(CONNECT, params).then(() => {
+                    this.ready = true;
+                    this.attempts = 0;
+                    this.startPing();
+                    const channels = Object.keys(this.subscriptions);
+                    for (let i = 0; i < channels.length; i++) {
+                        const channel = channels[i];
+                        this.command(SUBSCRIBE, { 'channel': channel }).catch((e) => this.failChannel(channel, e));
+                    }
+                    resolve();
+                }).catch((e) => {
+                    if (!(e instanceof NetworkError)) {
+                        // the server refused the connect command, e.g. over a bad token, and would refuse
+                        // a reconnect just the same, so the subscriptions end with its error
+                        this.failAll(e);
+                        this.disconnect();
+                    }
+                    reject(e);
+                });
+            };
+            socket.onmessage = (event) => this.onMessage(event.data);
+            socket.onerror = () => {
+                // onclose follows and takes care of reconnecting
+            };
+            socket.onclose = () => {
+                if (this.socket === socket) {
+                    this.onClose();
+                }
+                reject(new NetworkError(this.exchange.id + ' websocket closed before it was connected'));
+            };
+        });
+        return this.connected;
+    }
+
+    command (method, params = undefined) {
+        this.commandId += 1;
+        const id = this.commandId;
+        const message = { 'id': id };
+        if (method !== CONNECT) {
+            message['method'] = method;
+        }
+        if (params !== undefined) {
+            message['params'] = params;
+        }
+        return new Promise((resolve, reject) => {
+            this.pending[id] = { 'resolve': resolve, 'reject': reject };
+            this.socket.send(JSON.stringify(message));
+        });
+    }
+
+    onMessage (raw) {
+        // Centrifugo may batch several replies into one frame, separated by newlines
+        const lines = raw.toString().split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i].length) {
+                continue;
+            }
+            let message = undefined;
+            try {
+                message = JSON.parse(lines[i]);
+            } catch (e) {
+                continue;
+            }
+            if (!Object.keys(message).length) {
+                // server side ping, answer with an empty frame
+                this.socket.send('{}');
+                continue;
+            }
+            if (('id' in message) && (message['id'] in this.pending)) {
+                const pending = this.pending[message['id']];
+                delete this.pending[message['id']];
+                if ('error' in message) {
+                    pending.reject(new ExchangeError(this.exchange.id + ' ' + JSON.stringify(message['error'])));
+                } else {
+                    pending.resolve(message['result']);
+                }
+                continue;
+            }
+            const result = message['result'] || {};
+            const channel = result['channel'];
+            const publication = result['data'];
+            if ((channel === undefined) || (publication === undefined) || !(channel in this.subscriptions)) {
+                continue;
+            }
+            const subscriptions = this.subscriptions[channel].slice();
+            for (let j = 0; j < subscriptions.length; j++) {
+                try {
+                    subscriptions[j].push(publication['data'], publication['offset']);
+                } catch (e) {
+                    subscriptions[j].fail(e);
+                }
+            }
+        }
+    }
+
+    onClose () {
+        this.stopPing();
+        this.socket = undefined;
+        this.connected = undefined;
+        this.ready = false;
+        const pending = this.pending;
+        this.pending = {};
+        const ids = Object.keys(pending);
+        for (let i = 0; i < ids.length; i++) {
+            pending[ids[i]].reject(new NetworkError(this.exchange.id + ' websocket connection lost'));
+        }
+        if (Object.keys(this.subscriptions).length) {
+            this.scheduleReconnect();
+        }
+    }
+
+    scheduleReconnect () {
+        if ((this.reconnectTimer !== undefined) || (this.connected !== undefined) || !Object.keys(this.subscriptions).length) {
+            return;
+        }
+        const delay = Math.min(this.reconnectDelay * Math.pow(2, this.attempts), this.maxReconnectDelay);
+        this.attempts += 1;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = undefined;
+            if (Object.keys(this.subscriptions).length) {
+                this.connect().catch(() => this.scheduleReconnect());
+            }
+        }, delay);
+    }
+
+    startPing () {
+        this.stopPing();
+        this.pingTimer = setInterval(() => {
+            if (this.isOpen()) {
+                this.command(PING).catch(() => {});
+            }
+        }, this.pingInterval);
+    }
+
+    stopPing () {
+        if (this.pingTimer !== undefined) {
+            clearInterval(this.pingTimer);
+            this.pingTimer = undefined;
+        }
+    }
+
+    disconnect () {
+        if (this.reconnectTimer !== undefined) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = undefined;
+        }
+        const socket = this.socket;
+        this.onClose();
+        if (socket !== undefined) {
+            socket.close();
+        }
+    }
+
+    close () {
+        // ends every subscription and drops the connection
+        const channels = Object.keys(this.subscriptions);
+        for (let i = 0; i < channels.length; i++) {
+            const subscriptions = this.subscriptions[channels[i]].slice();
+            for (let j = 0; j < subscriptions.length; j++) {
+                subscriptions[j].close();
+            }
+        }
+        this.subscriptions = {};
+        this.disconnect();
+    }
+};
@@ -0,0 +1,243 @@
+'use strict'
+
+/*  ------------------------------------------------------------------------ */
+
+const { indodax, NetworkError, ExchangeError } = require ('../../../ccxt')
+const { strictEqual: equal, deepEqual } = require ('assert')
+const querystring = require ('querystring')
+
+/*  ------------------------------------------------------------------------ */
+
+// a btc_idr book of one bid and one ask that fills every limit sell it gets
+// by fillRatio right away, private requests are logged like in test.stops.js
+
+class FakeIndodax {
+
+    constructor () {
+        this.orders = {} // order_id → raw order
+        this.nextId = 100
+        this.bid = 599000000
+        this.ask = 601000000
+        this.fillRatio = 1
+        this.trades = [] // the public trades fetchTrades returns
+        this.requests = [] // [ method, params ]
+        this.failures = {} // method → 'before', 'after' or 'error'
+    }
+
+    // the next request of that method is lost on the way, loses its reply or is refused
+    fail (method, when) {
+        this.failures[method] = when
+    }
+
+    placed (method = 'trade') {
+        return this.requests.filter (([ name ]) => name === method).map (([ name, params ]) => params)
+    }
+
+    async respond (url, body) {
+        if (url.indexOf ('/tapi') < 0) {
+            if (url.indexOf ('btc_idr/depth') >= 0) {
+                return { 'buy': [ [ this.bid, '1' ] ], 'sell': [ [ this.ask, '1' ] ] }
+            }
+            if (url.indexOf ('btc_idr/trades') >= 0) {
+                return this.trades
+            }
+            // pairs and price_increments, the exchange falls back to its bundled markets
+            throw new NetworkError ('offline')
+        }
+        const params = querystring.parse (body)
+        const method = params.method
+        const failure = this.failures[method]
+        delete this.failures[method]
+        if (failure === 'before') {
+            throw new NetworkError ('lost ' + method)
+        }
+        if (failure === 'error') {
+            return { 'success': 0, 'error': 'Service busy' }
+        }
+        this.requests.push ([ method, params ])
+        const response = this[method] (params)
+        if (failure === 'after') {
+            throw new NetworkError ('lost the reply to ' + method)
+        }
+        return response
+    }
+
+    getInfo () {
+        return { 'success': 1, 'return': { 'balance': { 'idr': '1000000000000', 'btc': '100' }, 'balance_hold': {} } }
+    }
+
+    trade (params) {
+        const id = (this.nextId++).toString ()
+        const amount = parseFloat (params.btc)
+        const remaining = (amount * (1 - this.fillRatio)).toFixed (8)
+        this.orders[id] = {
+            'order_id': id,
+            'client_order_id': params.client_order_id,
+            'pair': params.pair,
+            'type': params.type,
+            'order_type': 'limit',
+            'price': params.price,
+            'order_btc': params.btc,
+            'remain_btc': remaining,
+            'submit_time': '1600000000',
+            'status': (parseFloat (remaining) > 0) ? 'open' : 'filled',
+        }
+        return { 'success': 1, 'return': { 'order_id': id, 'client_order_id': params.client_order_id, 'remain_btc': remaining } }
+    }
+
+    getOrder (params) {
+        return { 'success': 1, 'return': { 'order': this.orders[params.order_id] } }
+    }
+
+    getOrderByClientOrderId (params) {
+        const order = Object.values (this.orders).find ((order) => order.client_order_id === params.client_order_id)
+        if (order === undefined) {
+            return { 'success': 0, 'error': 'Order not found' }
+        }
+        return { 'success': 1, 'return': order }
+    }
+
+    cancelOrder (params) {
+        const order = this.orders[params.order_id]
+        if (order.status !== 'open') {
+            return { 'success': 0, 'error': 'invalid order.' }
+        }
+        order.status = 'cancelled'
+        return { 'success': 1, 'return': { 'order_id': order.order_id, 'type': order.type, 'pair': order.pair } }
+    }
+}
+
+const createExchange = async (backend) => {
+    const exchange = new indodax ({
+        'apiKey': 'key',
+        'secret': 'secret',
+        'enableRateLimit': true,
+        'rateLimit': 1,
+    })
+    exchange.fetch = async (url, method, headers, body) => {
+        const response = await backend.respond (url, body)
+        exchange.handleErrors (200, 'OK', url, method, {}, JSON.stringify (response), response)
+        return response
+    }
+    await exchange.loadMarkets ()
+    return exchange
+}
+
+/*  ------------------------------------------------------------------------ */
+
+describe ('indodax executions', () => {
+
+    let backend = undefined
+    let exchange = undefined
+
+    beforeEach (async () => {
+        backend = new FakeIndodax ()
+        exchange = await createExchange (backend)
+    })
+
+    it ('slices a twap into equal children and reports against the arrival price', async () => {
+        const execution = exchange.createExecution ('BTC/IDR', 'sell', 0.03, { 'algorithm': 'twap', 'duration': 30, 'slices': 3, 'retryDelay': 1 })
+        const report = await execution.run ()
+        const trades = backend.placed ()
+        deepEqual (trades.map ((params) => params.btc), [ '0.01', '0.01', '0.01' ])
+        deepEqual (trades.map ((params) => params.price), [ '599000000', '599000000', '599000000' ])
+        deepEqual (trades.map ((params) => params.client_order_id), [ report.id + '-0', report.id + '-1', report.id + '-2' ])
+        equal (report.status, 'done')
+        equal (report.filled, 0.03)
+        equal (report.remaining, 0)
+        equal (report.average, 599000000)
+        equal (report.arrivalPrice, 600000000)
+        equal (report.slippage, 1 / 600)
+        equal (report.orders.length, 3)
+    })
+
+    it ('rolls what a child left over into the next one and expires short of the amount', async () => {
+        backend.fillRatio = 0.5
+        const execution = exchange.createExecution ('BTC/IDR', 'sell', 0.03, { 'algorithm': 'twap', 'duration': 30, 'slices': 3, 'retryDelay': 1 })
+        const report = await execution.run ()
+        // every child is cancelled before the next one goes out
+        deepEqual (backend.requests.map (([ method ]) => method).filter ((method) => (method === 'trade') || (method === 'cancelOrder')), [ 'trade', 'cancelOrder', 'trade', 'cancelOrder', 'trade', 'cancelOrder' ])
+        deepEqual (backend.placed ().map ((params) => params.btc), [ '0.01', '0.0125', '0.01875' ])
+        equal (report.filled.toFixed (8), '0.02062500')
+        equal (report.remaining.toFixed (8), '0.00937500')
+        equal (report.status, 'expired')
+    })
+
+    it ('looks a child up by its client order id when the reply to it is lost', async () => {
+        backend.fail ('trade', 'after')
+        const execution = exchange.createExecution ('BTC/IDR', 'sell', 0.01, { 'algorithm': 'twap', 'duration': 1, 'slices': 1, 'retryDelay': 1 })
+        const report = await execution.run ()
+        equal (backend.placed ().length, 1)
+        equal (backend.placed ('getOrderByClientOrderId').length, 1)
+        equal (report.orders[0].id, '100')
+        equal (report.status, 'done')
+    })
+
+    it ('places a child again that never reached the exchange', async () => {
+        backend.fail ('trade', 'before')
+        const execution = exchange.createExecution ('BTC/IDR', 'sell', 0.01, { 'algorithm': 'twap', 'duration': 1, 'slices': 1, 'retryDelay': 1 })
+        const report = await execution.run ()
+        equal (backend.placed ('getOrderByClientOrderId').length, 1)
+        equal (backend.placed ().length, 1)
+        equal (backend.placed ()[0].client_order_id, report.id + '-0')
+        equal (report.status, 'done')
+    })
+
+    it ('takes the live child off the book when the execution fails', async () => {
+        backend.fillRatio = 0.25
+        backend.fail ('cancelOrder', 'error')
+        const execution = exchange.createExecution ('BTC/IDR', 'sell', 0.02, { 'algorithm': 'twap', 'duration': 20, 'slices': 2, 'retryDelay': 1 })
+        let error = undefined
+        try {
+            await execution.run ()
+        } catch (e) {
+            error = e
+        }
+        equal (error instanceof ExchangeError, true)
+        equal (backend.placed ().length, 1)
+        equal (backend.orders['100'].status, 'cancelled')
+        const report = execution.report ()
+        equal (report.status, 'failed')
+        equal (report.filled.toFixed (8), '0.00250000')
+        equal (execution.current, undefined)
+    })
+
+    it ('sizes vwap children by the volume traded meanwhile', async () => {
+        backend.trades = [
+            { 'date': '4102444800', 'price': '599000000', 'amount': '0.05', 'tid': '2', 'type': 'sell' },
+            { 'date': '4102444800', 'price': '599000000', 'amount': '0.05', 'tid': '3', 'type': 'buy' },
+        ]
+        const execution = exchange.createExecution ('BTC/IDR', 'sell', 0.5, { 'algorithm': 'vwap', 'participation': 0.1, 'interval': 1, 'duration': 1000, 'retryDelay': 1 })
+        const running = execution.run ()
+        while (backend.placed ().length < 2) {
+            await new Promise ((resolve) => setTimeout (resolve, 1))
+        }
+        execution.cancel ()
+        const report = await running
+        deepEqual (backend.placed ().slice (0, 2).map ((params) => params.btc), [ '0.01', '0.01' ])
+        equal (report.status, 'canceled')
+    })
+
+    it ('shows one iceberg tip at a time at the limit price', async () => {
+        backend.fillRatio = 0
+        const execution = exchange.createExecution ('BTC/IDR', 'sell', 0.03, { 'algorithm': 'iceberg', 'visibleAmount': 0.02, 'limitPrice': 605000000, 'interval': 1, 'retryDelay': 1 })
+        const running = execution.run ()
+        while (backend.placed ('getOrder').length < 2) {
+            await new Promise ((resolve) => setTimeout (resolve, 1))
+        }
+        equal (backend.placed ().length, 1)
+        backend.orders['100'].remain_btc = '0'
+        backend.orders['100'].status = 'filled'
+        while (backend.placed ().length < 2) {
+            await new Promise ((resolve) => setTimeout (resolve, 1))
+        }
+        backend.orders['101'].remain_btc = '0'
+        backend.orders['101'].status = 'filled'
+        const report = await running
+        deepEqual (backend.placed ().map ((params) => [ params.btc, params.price ]), [ [ '0.02', '605000000' ], [ '0.01', '605000000' ] ])
+        equal (report.status, 'done')
+        equal (report.filled, 0.03)
+    })
+})
+
+/*  ------------------------------------------------------------------------ */
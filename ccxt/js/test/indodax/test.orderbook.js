@@ -0,0 +1,118 @@
+'use strict'
+
+/*  ------------------------------------------------------------------------ */
+
+const { indodax, NetworkError } = require ('../../../ccxt')
+const LocalOrderBook = require ('../../indodax/orderbook')
+const { strictEqual: equal, deepEqual } = require ('assert')
+
+/*  ------------------------------------------------------------------------ */
+
+const snapshot = (nonce) => ({
+    'bids': [ [ 599000000, 0.2 ], [ 600000000, 0.1 ], [ 598000000, 0.3 ] ],
+    'asks': [ [ 602000000, 0.5 ], [ 601000000, 0.4 ], [ 603000000, 0.6 ] ],
+    'nonce': nonce,
+    'timestamp': 1600000000000,
+})
+
+/*  ------------------------------------------------------------------------ */
+
+describe ('indodax local order book', () => {
+
+    it ('keeps every side sorted best price first', () => {
+        const book = new LocalOrderBook ('BTC/IDR').reset (snapshot (1))
+        deepEqual (book.bids, [ [ 600000000, 0.1 ], [ 599000000, 0.2 ], [ 598000000, 0.3 ] ])
+        deepEqual (book.asks, [ [ 601000000, 0.4 ], [ 602000000, 0.5 ], [ 603000000, 0.6 ] ])
+        deepEqual (book.bestBid (), [ 600000000, 0.1 ])
+        deepEqual (book.bestAsk (), [ 601000000, 0.4 ])
+        equal (book.spread (), 1000000)
+    })
+
+    it ('inserts, updates and removes levels', () => {
+        const side = new LocalOrderBook ('BTC/IDR').reset (snapshot (1)).bidsSide
+        side.store (599500000, 0.05) // between two levels
+        side.store (597000000, 0.7) // past the worst
+        side.store (601000000, 0.01) // before the best
+        side.store (599000000, 0.25)
+        side.store (598000000, 0)
+        side.store (596000000, 0) // not there, nothing to remove
+        deepEqual (side.levels, [ [ 601000000, 0.01 ], [ 600000000, 0.1 ], [ 599500000, 0.05 ], [ 599000000, 0.25 ], [ 597000000, 0.7 ] ])
+        equal (side.indexOf (599500000), 2)
+        equal (side.indexOf (599400000), 3)
+        equal (side.indexOf (500000000), 5)
+    })
+
+    it ('diffs a side against a snapshot and drops the levels past its window', () => {
+        const book = new LocalOrderBook ('BTC/IDR').reset (snapshot (1))
+        const diff = book.diff ({
+            'bids': [ [ 600000000, 0.15 ], [ 599000000, 0.2 ] ],
+            'asks': [ [ 601500000, 0.1 ], [ 602000000, 0.5 ] ],
+            'nonce': 2,
+        })
+        // 598000000 lies past the worst bid of the snapshot, 601000000 is gone from within its window
+        deepEqual (diff.bids, [ [ 600000000, 0.15 ], [ 598000000, 0 ] ])
+        deepEqual (diff.asks, [ [ 601000000, 0 ], [ 603000000, 0 ], [ 601500000, 0.1 ] ])
+        equal (book.update (diff), true)
+        deepEqual (book.bids, [ [ 600000000, 0.15 ], [ 599000000, 0.2 ] ])
+        deepEqual (book.asks, [ [ 601500000, 0.1 ], [ 602000000, 0.5 ] ])
+        deepEqual (book.diff ({ 'bids': [], 'asks': [] }), { 'bids': [], 'asks': [], 'nonce': undefined, 'timestamp': undefined })
+    })
+
+    it ('applies consecutive diffs and reports a gap', () => {
+        const book = new LocalOrderBook ('BTC/IDR').reset (snapshot (5))
+        equal (book.update ({ 'bids': [ [ 600000000, 0 ] ], 'nonce': 6, 'timestamp': 1600000001000 }), true)
+        deepEqual (book.bestBid (), [ 599000000, 0.2 ])
+        equal (book.timestamp, 1600000001000)
+        // a diff seen before changes nothing
+        equal (book.update ({ 'bids': [ [ 599000000, 9 ] ], 'nonce': 6 }), true)
+        deepEqual (book.bestBid (), [ 599000000, 0.2 ])
+        equal (book.update ({ 'asks': [ [ 601000000, 0 ] ], 'nonce': 8 }), false)
+        equal (book.synced, false)
+        deepEqual (book.bestAsk (), [ 601000000, 0.4 ])
+        // nothing applies until the next snapshot
+        equal (book.update ({ 'asks': [ [ 601000000, 0 ] ], 'nonce': 9 }), false)
+        book.reset (snapshot (9))
+        equal (book.update ({ 'asks': [ [ 601000000, 0 ] ], 'nonce': 10 }), true)
+        deepEqual (book.bestAsk (), [ 602000000, 0.5 ])
+    })
+
+    it ('answers depth, cumulative and volume queries', () => {
+        const book = new LocalOrderBook ('BTC/IDR').reset (snapshot (1))
+        const depth = book.depth (2)
+        deepEqual (depth.bids, [ [ 600000000, 0.1 ], [ 599000000, 0.2 ] ])
+        deepEqual (depth.asks, [ [ 601000000, 0.4 ], [ 602000000, 0.5 ] ])
+        equal (depth.datetime, '2020-09-13T12:26:40.000Z')
+        depth.bids[0][1] = 5
+        equal (book.bestBid ()[1], 0.1)
+        deepEqual (book.cumulative ('asks', 2), [ [ 601000000, 0.4, 0.4 ], [ 602000000, 0.5, 0.9 ] ])
+        equal (book.cumulative ('bids').length, 3)
+        equal (book.cumulative ('bids', 10)[2][2].toFixed (8), '0.60000000')
+        equal (book.volume ('bids', 599000000).toFixed (8), '0.30000000')
+        equal (book.volume ('asks', 602500000).toFixed (8), '0.90000000')
+        equal (book.volume ('asks', 600000000), 0)
+    })
+
+    it ('resyncs from a rest snapshot after a gap', async () => {
+        const exchange = new indodax ()
+        let depths = 0
+        exchange.fetch = async (url) => {
+            if (url.indexOf ('depth') >= 0) {
+                depths += 1
+                return { 'buy': [ [ 600000000, '0.1' ] ], 'sell': [ [ 601000000, '0.4' ] ] }
+            }
+            throw new NetworkError ('offline')
+        }
+        await exchange.syncOrderBook ('BTC/IDR')
+        const book = exchange.localOrderBook ('BTC/IDR')
+        book.nonce = 3
+        await exchange.applyOrderBookUpdate ('BTC/IDR', { 'bids': [ [ 600500000, 1 ] ], 'nonce': 4 })
+        equal (depths, 1)
+        deepEqual (book.bestBid (), [ 600500000, 1 ])
+        await exchange.applyOrderBookUpdate ('BTC/IDR', { 'bids': [ [ 600700000, 1 ] ], 'nonce': 6 })
+        equal (depths, 2)
+        equal (book.synced, true)
+        deepEqual (book.bids, [ [ 600000000, 0.1 ] ])
+    })
+})
+
+/*  ------------------------------------------------------------------------ */
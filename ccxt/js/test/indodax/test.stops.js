@@ -0,0 +1,531 @@
+'use strict'
+
+/*  ------------------------------------------------------------------------ */
+
+const { indodax, NetworkError, ExchangeError } = require ('../../../ccxt')
+const { MemoryStorage } = require ('../../indodax/stops')
+const { strictEqual: equal, deepEqual } = require ('assert')
+const querystring = require ('querystring')
+
+/*  ------------------------------------------------------------------------ */
+
+// just enough of the indodax api to place, fill, look up and cancel btc_idr sells,
+// every private request is logged so that the tests can tell what went out and when
+
+class FakeIndodax {
+
+    constructor () {
+        this.orders = {} // order_id → raw order
+        this.nextId = 100
+        this.last = 600000000
+        this.bid = undefined // the best bid and ask follow last unless set
+        this.ask = undefined
+        this.requests = [] // [ method, params ]
+        this.failures = {} // method → 'before' or 'after' the exchange handled it
+        this.holds = {} // method → the promise the next request of that method waits for
+    }
+
+    // the next request of that method takes until release () is called
+    hold (method) {
+        let release = undefined
+        this.holds[method] = new Promise ((resolve) => {
+            release = resolve
+        })
+        return release
+    }
+
+    // the next request of that method is lost on the way to the exchange
+    failBefore (method) {
+        this.failures[method] = 'before'
+    }
+
+    // the next request of that method goes through, but its reply is lost
+    failAfter (method) {
+        this.failures[method] = 'after'
+    }
+
+    fill (id, amount) {
+        const order = this.orders[id]
+        const remaining = parseFloat (order.remain_btc) - amount
+        order.remain_btc = remaining.toFixed (8)
+        if (remaining <= 0) {
+            order.status = 'filled'
+        }
+    }
+
+    placed (method = 'trade') {
+        return this.requests.filter (([ name ]) => name === method)
+    }
+
+    async respond (url, body) {
+        if (url.indexOf ('/tapi') < 0) {
+            const ticker = {
+                'last': this.last.toString (),
+                'buy': ((this.bid === undefined) ? this.last : this.bid).toString (),
+                'sell': ((this.ask === undefined) ? this.last : this.ask).toString (),
+                'server_time': 1600000000,
+            }
+            if (url.indexOf ('summaries') >= 0) {
+                return { 'tickers': { 'btc_idr': ticker }, 'prices_24h': {} }
+            }
+            if (url.indexOf ('btc_idr/ticker') >= 0) {
+                return { 'ticker': ticker }
+            }
+            if (url.indexOf ('btc_idr/depth') >= 0) {
+                // market buys are sized from the asks
+                return { 'buy': [ [ parseInt (ticker.buy), '1' ] ], 'sell': [ [ parseInt (ticker.sell), '1' ] ] }
+            }
+            // pairs and price_increments, the exchange falls back to its bundled markets
+            throw new NetworkError ('offline')
+        }
+        const params = querystring.parse (body)
+        const method = params.method
+        const hold = this.holds[method]
+        delete this.holds[method]
+        await hold
+        const failure = this.failures[method]
+        delete this.failures[method]
+        if (failure === 'before') {
+            throw new NetworkError ('lost ' + method)
+        }
+        this.requests.push ([ method, params ])
+        const response = this[method] (params)
+        if (failure === 'after') {
+            throw new NetworkError ('lost the reply to ' + method)
+        }
+        return response
+    }
+
+    getInfo () {
+        return { 'success': 1, 'return': { 'balance': { 'idr': '1000000000000', 'btc': '100' }, 'balance_hold': {} } }
+    }
+
+    trade (params) {
+        const clientOrderId = params.client_order_id
+        if (Object.values (this.orders).some ((order) => order.client_order_id === clientOrderId)) {
+            return { 'success': 0, 'error': 'Duplicate client order id.' }
+        }
+        const id = (this.nextId++).toString ()
+        const market = (params.order_type === 'market')
+        this.orders[id] = {
+            'order_id': id,
+            'client_order_id': clientOrderId,
+            'pair': params.pair,
+            'type': params.type,
+            'order_type': market ? 'market' : 'limit',
+            'price': market ? this.last.toString () : params.price,
+            'order_btc': params.btc,
+            'remain_btc': market ? '0' : params.btc,
+            'submit_time': '1600000000',
+            'status': market ? 'filled' : 'open',
+        }
+        return { 'success': 1, 'return': { 'order_id': id, 'client_order_id': clientOrderId, 'remain_btc': this.orders[id].remain_btc } }
+    }
+
+    getOrder (params) {
+        const order = this.orders[params.order_id]
+        if (order === undefined) {
+            return { 'success': 0, 'error': 'Order not found' }
+        }
+        return { 'success': 1, 'return': { 'order': order } }
+    }
+
+    getOrderByClientOrderId (params) {
+        const order = Object.values (this.orders).find ((order) => order.client_order_id === params.client_order_id)
+        if (order === undefined) {
+            return { 'success': 0, 'error': 'Order not found' }
+        }
+        return { 'success': 1, 'return': order }
+    }
+
+    cancelOrder (params) {
+        const order = this.orders[params.order_id]
+        if ((order === undefined) || (order.status !== 'open')) {
+            return { 'success': 0, 'error': 'invalid order.' }
+        }
+        order.status = 'cancelled'
+        return { 'success': 1, 'return': { 'order_id': order.order_id, 'type': order.type, 'pair': order.pair } }
+    }
+}
+
+const createExchange = (backend, storage, config = {}) => {
+    const exchange = new indodax (Object.assign ({
+        'apiKey': 'key',
+        'secret': 'secret',
+        'enableRateLimit': true,
+        'rateLimit': 1,
+        'options': {
+            'stops': { 'pollInterval': 3600000 }, // the tests poll by hand
+        },
+    }, config))
+    // the constructor copies the options, the storage has to stay the same object
+    exchange.options['stops']['storage'] = storage
+    exchange.fetch = async (url, method, headers, body) => {
+        const response = await backend.respond (url, body)
+        const text = JSON.stringify (response)
+        exchange.handleErrors (200, 'OK', url, method, {}, text, response)
+        return response
+    }
+    return exchange
+}
+
+// stands in for watchTicker, push () hands a ticker to the engine
+
+class FakeTickerStream {
+
+    constructor () {
+        this.waiters = []
+        this.closed = false
+    }
+
+    push (ticker) {
+        this.waiters.shift () ({ 'value': ticker, 'done': false })
+    }
+
+    next () {
+        if (this.closed) {
+            return Promise.resolve ({ 'value': undefined, 'done': true })
+        }
+        return new Promise ((resolve) => this.waiters.push (resolve))
+    }
+
+    close () {
+        this.closed = true
+        this.waiters.forEach ((resolve) => resolve ({ 'value': undefined, 'done': true }))
+    }
+}
+
+const until = async (condition, ms = 2000) => {
+    const start = Date.now ()
+    while (!condition ()) {
+        if ((Date.now () - start) > ms) {
+            throw new Error ('timed out')
+        }
+        await new Promise ((resolve) => setTimeout (resolve, 5))
+    }
+}
+
+// what a crashed process leaves behind: the journal in storage, nothing in memory
+const restart = (exchange, backend, storage) => {
+    exchange.stopEngine ().stop ()
+    return createExchange (backend, storage)
+}
+
+/*  ------------------------------------------------------------------------ */
+
+describe ('indodax stop engine', () => {
+
+    let backend = undefined
+    let storage = undefined
+    let exchange = undefined
+
+    beforeEach (() => {
+        backend = new FakeIndodax ()
+        storage = new MemoryStorage ()
+        exchange = createExchange (backend, storage)
+    })
+
+    afterEach (() => {
+        if (exchange.stops !== undefined) {
+            exchange.stops.stop ()
+        }
+    })
+
+    it ('requires the rate limiter', async () => {
+        exchange = createExchange (backend, storage, { 'enableRateLimit': false })
+        let error = undefined
+        try {
+            await exchange.createOrder ('BTC/IDR', 'stop_market', 'sell', 0.01, undefined, { 'stopPrice': 590000000 })
+        } catch (e) {
+            error = e
+        }
+        equal (error instanceof ExchangeError, true)
+        equal (exchange.stops, undefined)
+        equal (backend.requests.length, 0)
+    })
+
+    it ('requires a journal that survives restarts', async () => {
+        exchange = createExchange (backend, undefined)
+        let error = undefined
+        try {
+            await exchange.createOrder ('BTC/IDR', 'stop_market', 'sell', 0.01, undefined, { 'stopPrice': 590000000 })
+        } catch (e) {
+            error = e
+        }
+        equal (error instanceof ExchangeError, true)
+        equal (error.message.indexOf ('journal') >= 0, true)
+        equal (exchange.stops, undefined)
+    })
+
+    it ('fires a stop once the price crosses it', async () => {
+        const stop = await exchange.createOrder ('BTC/IDR', 'stop_market', 'sell', 0.01, undefined, { 'stopPrice': 590000000 })
+        const engine = exchange.stopEngine ()
+        await engine.poll ()
+        equal (backend.placed ().length, 0)
+        backend.last = 589000000
+        await engine.poll ()
+        equal (engine.lastError, undefined)
+        equal (backend.placed ().length, 1)
+        const order = await exchange.fetchOrder (stop.id)
+        equal (order.status, 'closed')
+        equal (order.orderId, '100')
+        equal (order.filled, 0.01)
+        equal (order.remaining, 0)
+        equal (storage.load ().orders[stop.id].status, 'triggered')
+    })
+
+    it ('reports a triggered stop by the state of its real order', async () => {
+        const stop = await exchange.createOrder ('BTC/IDR', 'stop_limit', 'sell', 0.01, 585000000, { 'stopPrice': 590000000 })
+        backend.last = 589000000
+        await exchange.stopEngine ().poll ()
+        backend.fill ('100', 0.004)
+        let order = await exchange.fetchOrder (stop.id)
+        equal (order.id, stop.id)
+        equal (order.orderId, '100')
+        equal (order.status, 'open')
+        equal (order.filled, 0.004)
+        equal (order.remaining, 0.006)
+        backend.cancelOrder ({ 'order_id': '100' })
+        order = await exchange.fetchOrder (stop.id)
+        equal (order.status, 'canceled')
+        equal (order.filled, 0.004)
+    })
+
+    it ('recovers a triggering stop that reached the exchange without placing it twice', async () => {
+        const stop = await exchange.createOrder ('BTC/IDR', 'stop_market', 'sell', 0.01, undefined, { 'stopPrice': 590000000 })
+        backend.last = 589000000
+        backend.failAfter ('trade')
+        await exchange.stopEngine ().poll ()
+        equal (storage.load ().orders[stop.id].status, 'triggering')
+        exchange = restart (exchange, backend, storage)
+        const engine = exchange.stopEngine ()
+        await engine.poll ()
+        equal (engine.lastError, undefined)
+        equal (backend.placed ().length, 1)
+        const conditional = storage.load ().orders[stop.id]
+        equal (conditional.status, 'triggered')
+        equal (conditional.orderId, '100')
+    })
+
+    it ('places a triggering stop again that never reached the exchange', async () => {
+        const stop = await exchange.createOrder ('BTC/IDR', 'stop_market', 'sell', 0.01, undefined, { 'stopPrice': 590000000 })
+        backend.last = 589000000
+        backend.failBefore ('trade')
+        await exchange.stopEngine ().poll ()
+        equal (storage.load ().orders[stop.id].status, 'triggering')
+        exchange = restart (exchange, backend, storage)
+        await exchange.stopEngine ().poll ()
+        equal (backend.placed ().length, 1)
+        equal (Object.keys (backend.orders).length, 1)
+        equal (storage.load ().orders[stop.id].status, 'triggered')
+    })
+
+    it ('cancels the limit order of an oco group before its stop goes out', async () => {
+        const oco = await exchange.createOcoOrder ('BTC/IDR', 'sell', 0.01, 650000000, 590000000)
+        equal (oco.status, 'active')
+        equal (backend.placed ().length, 1)
+        backend.last = 589000000
+        const engine = exchange.stopEngine ()
+        await engine.poll ()
+        equal (engine.lastError, undefined)
+        const methods = backend.requests.map (([ method ]) => method).filter ((method) => (method === 'trade') || (method === 'cancelOrder'))
+        deepEqual (methods, [ 'trade', 'cancelOrder', 'trade' ])
+        equal (backend.orders['100'].status, 'cancelled')
+        equal (backend.orders['101'].order_type, 'market')
+        equal ((await exchange.fetchOcoOrder (oco.id)).status, 'done')
+    })
+
+    it ('shrinks the stop of an oco group to what the limit order left', async () => {
+        const oco = await exchange.createOcoOrder ('BTC/IDR', 'sell', 0.01, 650000000, 590000000)
+        backend.fill ('100', 0.004)
+        const engine = exchange.stopEngine ()
+        await engine.poll ()
+        const stopId = storage.load ().groups[oco.id].stopId
+        equal (storage.load ().orders[stopId].amount, 0.006)
+        backend.fill ('100', 0.006)
+        await engine.poll ()
+        equal (storage.load ().orders[stopId].status, 'canceled')
+        equal (storage.load ().groups[oco.id].status, 'done')
+        equal (backend.placed ().length, 1)
+        equal (engine.timer, undefined)
+    })
+
+    it ('finishes placing an oco group whose limit order reply was lost', async () => {
+        backend.failAfter ('trade')
+        const oco = await exchange.createOcoOrder ('BTC/IDR', 'sell', 0.01, 650000000, 590000000)
+        equal (oco.status, 'placing')
+        const engine = exchange.stopEngine ()
+        equal (engine.timer !== undefined, true)
+        // the limit order is looked up rather than placed again, the stop then guards it in the same round
+        backend.last = 589000000
+        await engine.poll ()
+        equal (engine.lastError, undefined)
+        const group = storage.load ().groups[oco.id]
+        equal (group.limitOrderId, '100')
+        equal (backend.placed ('getOrderByClientOrderId').length, 1)
+        deepEqual (backend.requests.map (([ method ]) => method).filter ((method) => (method === 'trade') || (method === 'cancelOrder')), [ 'trade', 'cancelOrder', 'trade' ])
+        equal (Object.keys (backend.orders).length, 2)
+        equal (storage.load ().orders[group.stopId].status, 'triggered')
+        equal (storage.load ().groups[oco.id].status, 'done')
+    })
+
+    it ('recovers an oco group whose limit order reached the exchange before the crash', async () => {
+        backend.failAfter ('trade')
+        const oco = await exchange.createOcoOrder ('BTC/IDR', 'sell', 0.01, 650000000, 590000000)
+        const id = oco.id
+        equal (storage.load ().groups[id].status, 'placing')
+        exchange = restart (exchange, backend, storage)
+        await exchange.stopEngine ().poll ()
+        const group = storage.load ().groups[id]
+        equal (group.status, 'active')
+        equal (group.limitOrderId, '100')
+        equal (backend.placed ().length, 1)
+        equal (storage.load ().orders[group.stopId].status, 'pending')
+    })
+
+    it ('places the limit order of an oco group that never reached the exchange', async () => {
+        backend.failBefore ('trade')
+        equal ((await exchange.createOcoOrder ('BTC/IDR', 'sell', 0.01, 650000000, 590000000)).status, 'placing')
+        exchange = restart (exchange, backend, storage)
+        await exchange.stopEngine ().poll ()
+        const group = Object.values (storage.load ().groups)[0]
+        equal (group.status, 'active')
+        equal (Object.keys (backend.orders).length, 1)
+        equal (backend.orders[group.limitOrderId].client_order_id, group.limitClientOrderId)
+    })
+
+    it ('finishes stopping an oco group after a crash between the cancel and the stop', async () => {
+        const oco = await exchange.createOcoOrder ('BTC/IDR', 'sell', 0.01, 650000000, 590000000)
+        backend.fill ('100', 0.004)
+        backend.last = 589000000
+        backend.failAfter ('cancelOrder')
+        await exchange.stopEngine ().poll ()
+        equal (exchange.stopEngine ().lastError instanceof NetworkError, true)
+        const stopId = storage.load ().groups[oco.id].stopId
+        equal (storage.load ().groups[oco.id].status, 'stopping')
+        equal (storage.load ().orders[stopId].status, 'triggering')
+        equal (backend.orders['100'].status, 'cancelled')
+        equal (backend.placed ().length, 1)
+        exchange = restart (exchange, backend, storage)
+        const engine = exchange.stopEngine ()
+        await engine.poll ()
+        equal (engine.lastError, undefined)
+        const trades = backend.placed ()
+        equal (trades.length, 2)
+        equal (trades[1][1].btc, '0.006')
+        equal (trades[1][1].client_order_id, stopId)
+        equal (storage.load ().groups[oco.id].status, 'done')
+        equal (storage.load ().orders[stopId].status, 'triggered')
+    })
+
+    it ('does not place the stop of an oco group whose limit order filled while stopping', async () => {
+        const oco = await exchange.createOcoOrder ('BTC/IDR', 'sell', 0.01, 650000000, 590000000)
+        backend.last = 589000000
+        backend.failBefore ('cancelOrder')
+        await exchange.stopEngine ().poll ()
+        equal (storage.load ().groups[oco.id].status, 'stopping')
+        backend.fill ('100', 0.01)
+        exchange = restart (exchange, backend, storage)
+        await exchange.stopEngine ().poll ()
+        equal (backend.placed ().length, 1)
+        equal (storage.load ().groups[oco.id].status, 'done')
+        equal (storage.load ().orders[storage.load ().groups[oco.id].stopId].status, 'canceled')
+    })
+
+    it ('follows the best bid for trailing sells and only ever raises the stop', async () => {
+        backend.bid = 600000000
+        backend.last = 590000000 // trailing stops never look at the last price
+        const stop = await exchange.createOrder ('BTC/IDR', 'trailing_stop', 'sell', 0.01, undefined, { 'trailingPercent': 2 })
+        equal (stop.stopPrice, 588000000)
+        const engine = exchange.stopEngine ()
+        backend.bid = 620000000
+        await engine.poll ()
+        equal ((await exchange.fetchOrder (stop.id)).stopPrice, 607600000)
+        backend.bid = 610000000
+        await engine.poll ()
+        equal ((await exchange.fetchOrder (stop.id)).stopPrice, 607600000)
+        equal (backend.placed ().length, 0)
+        backend.bid = 607000000
+        await engine.poll ()
+        const trades = backend.placed ()
+        equal (trades.length, 1)
+        equal (trades[0][1].type, 'sell')
+        equal (trades[0][1].order_type, 'market')
+        equal ((await exchange.fetchOrder (stop.id)).status, 'closed')
+    })
+
+    it ('follows the best ask for trailing buys by an absolute offset', async () => {
+        backend.ask = 601000000
+        const stop = await exchange.createOrder ('BTC/IDR', 'trailing_stop', 'buy', 0.01, undefined, { 'trailingAmount': 5000000 })
+        equal (stop.stopPrice, 606000000)
+        const engine = exchange.stopEngine ()
+        backend.ask = 595000000
+        backend.last = 610000000
+        await engine.poll ()
+        equal ((await exchange.fetchOrder (stop.id)).stopPrice, 600000000)
+        backend.ask = 598000000
+        await engine.poll ()
+        equal ((await exchange.fetchOrder (stop.id)).stopPrice, 600000000)
+        equal (backend.placed ().length, 0)
+        backend.ask = 600000000
+        await engine.poll ()
+        equal (exchange.stopEngine ().lastError, undefined)
+        const trades = backend.placed ()
+        equal (trades.length, 1)
+        equal (trades[0][1].type, 'buy')
+        equal (trades[0][1].idr, '6000000')
+    })
+
+    it ('exits a trailing stop with a limit order at the stop price on the tick size', async () => {
+        backend.bid = 601234000
+        const stop = await exchange.createOrder ('BTC/IDR', 'trailing_stop', 'sell', 0.01, undefined, { 'trailingPercent': 1.5, 'exit': 'limit' })
+        equal (stop.stopPrice, 592215490)
+        backend.bid = 592000000
+        await exchange.stopEngine ().poll ()
+        const trades = backend.placed ()
+        equal (trades.length, 1)
+        equal (trades[0][1].price, '592215000')
+        equal (trades[0][1].order_type, undefined)
+        const order = await exchange.fetchOrder (stop.id)
+        equal (order.price, 592215000)
+        equal (order.status, 'open')
+    })
+
+    it ('takes the reference price of a stop from the side of the book it trades against', () => {
+        const engine = exchange.stopEngine ()
+        const ticker = { 'last': 600000000, 'bid': 599000000, 'ask': 601000000 }
+        equal (engine.referencePrice ({ 'type': 'stop_market', 'side': 'sell' }, ticker), 600000000)
+        equal (engine.referencePrice ({ 'type': 'trailing_stop', 'side': 'sell' }, ticker), 599000000)
+        equal (engine.referencePrice ({ 'type': 'trailing_stop', 'side': 'buy' }, ticker), 601000000)
+        equal (engine.referencePrice ({ 'type': 'trailing_stop', 'side': 'buy' }, { 'last': 600000000 }), 600000000)
+        const conditional = { 'type': 'trailing_stop', 'side': 'sell', 'trailingAmount': 1000000 }
+        equal (engine.trail (conditional, {}), false)
+        equal (conditional.stopPrice, undefined)
+        equal (engine.trail (conditional, ticker), true)
+        equal (conditional.stopPrice, 598000000)
+        equal (engine.trail (conditional, { 'bid': 598500000 }), false)
+        equal (conditional.stopPrice, 598000000)
+    })
+
+    it ('never recovers a stop that the websocket feed is still placing', async () => {
+        const stream = new FakeTickerStream ()
+        exchange.options['stops']['feed'] = 'websocket'
+        exchange.watchTicker = () => stream
+        const stop = await exchange.createOrder ('BTC/IDR', 'stop_market', 'sell', 0.01, undefined, { 'stopPrice': 590000000 })
+        const engine = exchange.stopEngine ()
+        await until (() => stream.waiters.length === 1)
+        const release = backend.hold ('trade')
+        stream.push ({ 'symbol': 'BTC/IDR', 'last': 589000000 })
+        await until (() => storage.load ().orders[stop.id].status === 'triggering')
+        const polling = engine.poll ()
+        await new Promise ((resolve) => setTimeout (resolve, 20))
+        equal (backend.placed ('getOrderByClientOrderId').length, 0)
+        release ()
+        await polling
+        equal (engine.lastError, undefined)
+        equal (Object.keys (backend.orders).length, 1)
+        equal (storage.load ().orders[stop.id].status, 'triggered')
+    })
+})
+
+/*  ------------------------------------------------------------------------ */
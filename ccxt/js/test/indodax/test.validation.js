@@ -0,0 +1,172 @@
+'use strict'
+
+/*  ------------------------------------------------------------------------ */
+
+const { indodax, NetworkError, InvalidOrder, InsufficientFunds } = require ('../../../ccxt')
+const { strictEqual: equal, deepEqual } = require ('assert')
+const querystring = require ('querystring')
+
+/*  ------------------------------------------------------------------------ */
+
+// the balance, the btc_idr book and the trade and cancel replies, private requests are logged
+
+class FakeIndodax {
+
+    constructor () {
+        this.balance = { 'idr': '1000000', 'btc': '0.05' }
+        this.bids = [ [ 600000000, '0.00001' ] ]
+        this.asks = [ [ 601000000, '1' ] ]
+        this.nextId = 100
+        this.requests = [] // [ method, params ]
+        this.cancelBalance = undefined // the balance the next cancel replies with
+    }
+
+    methods () {
+        return this.requests.map (([ method ]) => method)
+    }
+
+    async respond (url, body) {
+        if (url.indexOf ('/tapi') < 0) {
+            if (url.indexOf ('btc_idr/depth') >= 0) {
+                this.requests.push ([ 'depth', {} ])
+                return { 'buy': this.bids, 'sell': this.asks }
+            }
+            // pairs and price_increments, the exchange falls back to its bundled markets
+            throw new NetworkError ('offline')
+        }
+        const params = querystring.parse (body)
+        this.requests.push ([ params.method, params ])
+        return this[params.method] (params)
+    }
+
+    getInfo () {
+        return { 'success': 1, 'return': { 'balance': this.balance, 'balance_hold': {} } }
+    }
+
+    trade (params) {
+        const id = (this.nextId++).toString ()
+        if (params.type === 'buy') {
+            return { 'success': 1, 'return': { 'receive_btc': '0', 'spend_rp': 0, 'fee': 0, 'remain_rp': params.idr, 'order_id': id } }
+        }
+        return { 'success': 1, 'return': { 'receive_rp': '0', 'spend_btc': 0, 'fee': 0, 'remain_btc': params.btc, 'order_id': id } }
+    }
+
+    cancelOrder (params) {
+        const result = { 'order_id': params.order_id, 'type': params.type, 'pair': params.pair }
+        if (this.cancelBalance !== undefined) {
+            result.balance = this.cancelBalance
+        }
+        return { 'success': 1, 'return': result }
+    }
+}
+
+const createExchange = (backend) => {
+    const exchange = new indodax ({
+        'apiKey': 'key',
+        'secret': 'secret',
+    })
+    exchange.fetch = async (url, method, headers, body) => {
+        const response = await backend.respond (url, body)
+        exchange.handleErrors (200, 'OK', url, method, {}, JSON.stringify (response), response)
+        return response
+    }
+    return exchange
+}
+
+const rejection = async (promise) => {
+    try {
+        await promise
+    } catch (e) {
+        return e
+    }
+    throw new Error ('the order went through')
+}
+
+/*  ------------------------------------------------------------------------ */
+
+describe ('indodax order validation', () => {
+
+    let backend = undefined
+    let exchange = undefined
+
+    beforeEach (() => {
+        backend = new FakeIndodax ()
+        exchange = createExchange (backend)
+    })
+
+    it ('refuses orders worth less than the minimum order value', async () => {
+        const error = await rejection (exchange.createOrder ('BTC/IDR', 'limit', 'buy', 0.0001, 60000000))
+        equal (error instanceof InvalidOrder, true)
+        equal (error.message.indexOf ('order value of 6000 IDR is below the minimum of 10000 IDR') >= 0, true)
+        equal (backend.requests.length, 0)
+    })
+
+    it ('estimates the value of a market sell from the bids', async () => {
+        // the amount is above the minimum, but the book only takes a sliver of it
+        const error = await rejection (exchange.createOrder ('BTC/IDR', 'market', 'sell', 0.0001))
+        equal (error instanceof InvalidOrder, true)
+        equal (error.message.indexOf ('below the minimum of 10000 IDR') >= 0, true)
+        deepEqual (backend.methods (), [ 'depth' ])
+        backend.bids = [ [ 600000000, '1' ] ]
+        await exchange.createOrder ('BTC/IDR', 'market', 'sell', 0.0001)
+        deepEqual (backend.methods (), [ 'depth', 'depth', 'getInfo', 'trade' ])
+    })
+
+    it ('refuses amounts below the market minimum', async () => {
+        const error = await rejection (exchange.createOrder ('BTC/IDR', 'limit', 'sell', 0.00005, 600000000))
+        equal (error instanceof InvalidOrder, true)
+        equal (error.message.indexOf ('amount of 0.00005 is below the minimum of 0.0001 BTC') >= 0, true)
+        equal (backend.requests.length, 0)
+    })
+
+    it ('refuses amounts with more decimals than the market takes', async () => {
+        const error = await rejection (exchange.createOrder ('BTC/IDR', 'limit', 'sell', 0.001234567891, 600000000))
+        equal (error instanceof InvalidOrder, true)
+        equal (error.message.indexOf ('has more decimals than its step of 1e-8 BTC allows') >= 0, true)
+        equal (backend.requests.length, 0)
+    })
+
+    it ('snaps prices to the tick size and refuses one that rounds to nothing', async () => {
+        await exchange.createOrder ('BTC/IDR', 'limit', 'sell', 0.001, 600000400)
+        equal (backend.requests[1][1].price, '600000000')
+        const error = await rejection (exchange.createOrder ('BTC/IDR', 'limit', 'sell', 0.001, 400))
+        equal (error instanceof InvalidOrder, true)
+        equal (error.message.indexOf ('price rounds to 0 at the tick size of 1000 IDR') >= 0, true)
+    })
+
+    it ('refuses orders the free balance does not cover', async () => {
+        let error = await rejection (exchange.createOrder ('BTC/IDR', 'limit', 'sell', 0.06, 600000000))
+        equal (error instanceof InsufficientFunds, true)
+        equal (error.message.indexOf ('needs 0.06 BTC but only 0.05 BTC is free') >= 0, true)
+        error = await rejection (exchange.createOrder ('BTC/IDR', 'limit', 'buy', 0.002, 600000000))
+        equal (error instanceof InsufficientFunds, true)
+        equal (error.message.indexOf ('needs 1200000 IDR but only 1000000 IDR is free') >= 0, true)
+        // the first refusal came from a balance fetched just then, the second one fetches it again
+        deepEqual (backend.methods (), [ 'getInfo', 'getInfo' ])
+    })
+
+    it ('keeps the cached balance up to date between orders', async () => {
+        await exchange.createOrder ('BTC/IDR', 'limit', 'sell', 0.02, 600000000)
+        await exchange.createOrder ('BTC/IDR', 'limit', 'sell', 0.02, 600000000)
+        deepEqual (backend.methods (), [ 'getInfo', 'trade', 'trade' ])
+        equal (exchange.cachedBalance.free.BTC.toFixed (8), '0.01000000')
+        // the third would overdraw the balance as the cache tracks it, the exchange gets asked before it is refused
+        backend.balance = { 'idr': '1000000', 'btc': '0.01' }
+        const error = await rejection (exchange.createOrder ('BTC/IDR', 'limit', 'sell', 0.02, 600000000))
+        equal (error instanceof InsufficientFunds, true)
+        deepEqual (backend.methods (), [ 'getInfo', 'trade', 'trade', 'getInfo' ])
+        // a cancel reports what it released
+        backend.cancelBalance = { 'idr': '1000000', 'btc': '0.03' }
+        await exchange.cancelOrder ('100', 'BTC/IDR', { 'side': 'sell' })
+        await exchange.createOrder ('BTC/IDR', 'limit', 'sell', 0.02, 600000000)
+        deepEqual (backend.methods ().slice (4), [ 'cancelOrder', 'trade' ])
+    })
+
+    it ('skips the checks when validation is off', async () => {
+        exchange.options['validateOrders'] = false
+        await exchange.createOrder ('BTC/IDR', 'limit', 'sell', 0.06, 600)
+        deepEqual (backend.methods (), [ 'trade' ])
+    })
+})
+
+/*  ------------------------------------------------------------------------ */
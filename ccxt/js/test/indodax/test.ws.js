@@ -0,0 +1,209 @@
+'use strict'
+
+/*  ------------------------------------------------------------------------ */
+
+const { indodax, NetworkError, ExchangeError } = require ('../../../ccxt')
+const { strictEqual: equal, deepEqual } = require ('assert')
+const WebSocket = require ('ws')
+
+/*  ------------------------------------------------------------------------ */
+
+// a local Centrifugo stand-in: answers connect and subscribe commands and
+// publishes whatever the test hands to publish ()
+
+class MockServer {
+
+    constructor (options = {}) {
+        this.refuseConnect = options.refuseConnect
+        this.sockets = []
+        this.connects = 0
+        this.subscribed = [] // channels in the order they were subscribed to, over all connections
+        this.server = new WebSocket.Server ({ 'port': options.port || 0, 'host': '127.0.0.1' })
+        this.server.on ('connection', (socket) => {
+            this.sockets.push (socket)
+            socket.on ('message', (raw) => this.onMessage (socket, JSON.parse (raw)))
+        })
+    }
+
+    get url () {
+        return 'ws://127.0.0.1:' + this.server.address ().port
+    }
+
+    listening () {
+        return new Promise ((resolve) => this.server.once ('listening', resolve))
+    }
+
+    onMessage (socket, message) {
+        if (message.method === undefined) {
+            this.connects += 1
+            if (this.refuseConnect) {
+                socket.send (JSON.stringify ({ 'id': message.id, 'error': { 'code': 109, 'message': 'token expired' } }))
+            } else {
+                socket.send (JSON.stringify ({ 'id': message.id, 'result': { 'client': 'mock' } }))
+            }
+        } else if (message.method === 1) {
+            this.subscribed.push (message.params.channel)
+            socket.send (JSON.stringify ({ 'id': message.id, 'result': {} }))
+        } else {
+            socket.send (JSON.stringify ({ 'id': message.id, 'result': {} }))
+        }
+    }
+
+    publish (channel, data, offset) {
+        const message = JSON.stringify ({ 'result': { 'channel': channel, 'data': { 'data': data, 'offset': offset } } })
+        for (const socket of this.sockets) {
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send (message)
+            }
+        }
+    }
+
+    drop () {
+        for (const socket of this.sockets) {
+            socket.terminate ()
+        }
+        this.sockets = []
+    }
+
+    close () {
+        this.drop ()
+        return new Promise ((resolve) => this.server.close (resolve))
+    }
+}
+
+const until = async (condition, ms = 2000) => {
+    const start = Date.now ()
+    while (!condition ()) {
+        if ((Date.now () - start) > ms) {
+            throw new Error ('timed out waiting for the mock server')
+        }
+        await new Promise ((resolve) => setTimeout (resolve, 5))
+    }
+}
+
+const createExchange = (server) => {
+    const exchange = new indodax ({
+        'options': {
+            'ws': {
+                'url': server.url,
+                'WebSocket': WebSocket,
+                'reconnectDelay': 10,
+            },
+        },
+    })
+    // no network here, fetchMarkets falls back to the bundled markets
+    exchange.fetch = () => Promise.reject (new NetworkError ('offline'))
+    return exchange
+}
+
+const tickerRow = (last) => [ 'btcidr', 1632717721, last, 595000000, 610000000, 600000000, '26547584936', '43.82512345' ]
+
+/*  ------------------------------------------------------------------------ */
+
+describe ('indodax websocket client', () => {
+
+    let server = undefined
+    let exchange = undefined
+
+    beforeEach (async () => {
+        server = new MockServer ()
+        await server.listening ()
+    })
+
+    afterEach (async () => {
+        if (exchange !== undefined) {
+            exchange.websocket ().close ()
+            exchange = undefined
+        }
+        await server.close ()
+    })
+
+    it ('connects, subscribes and parses publications', async () => {
+        exchange = createExchange (server)
+        const stream = exchange.watchTicker ('BTC/IDR')
+        await until (() => server.subscribed.length === 1)
+        deepEqual (server.subscribed, [ 'market:summary-24h' ])
+        server.publish ('market:summary-24h', [ tickerRow (606000000) ], 1)
+        const ticker = (await stream.next ()).value
+        equal (ticker.symbol, 'BTC/IDR')
+        equal (ticker.last, 606000000)
+        equal (ticker.open, 600000000)
+        equal (ticker.timestamp, 1632717721000)
+    })
+
+    it ('shares a channel between subscriptions', async () => {
+        exchange = createExchange (server)
+        const first = exchange.watchTicker ('BTC/IDR')
+        const second = exchange.watchTicker ('BTC/IDR')
+        await until (() => Object.keys (exchange.websocket ().subscriptions).length === 1 && exchange.websocket ().subscriptions['market:summary-24h'].length === 2)
+        await until (() => server.subscribed.length === 1)
+        server.publish ('market:summary-24h', [ tickerRow (606000000) ], 1)
+        equal ((await first.next ()).value.last, 606000000)
+        equal ((await second.next ()).value.last, 606000000)
+        equal (server.subscribed.length, 1)
+    })
+
+    it ('reconnects and resubscribes every channel after the connection drops', async () => {
+        exchange = createExchange (server)
+        const ticker = exchange.watchTicker ('BTC/IDR')
+        const trades = exchange.watchTrades ('BTC/IDR')
+        await until (() => server.subscribed.length === 2)
+        server.drop ()
+        await until (() => (server.connects === 2) && (server.subscribed.length === 4))
+        deepEqual (server.subscribed.slice (2).sort (), [ 'market:summary-24h', 'market:trade-activity-btcidr' ])
+        server.publish ('market:summary-24h', [ tickerRow (607000000) ], 2)
+        server.publish ('market:trade-activity-btcidr', [ [ 'btcidr', 1635274052, 21999427, 'buy', 881991000, '0', '0.00289324' ] ], 3)
+        equal ((await ticker.next ()).value.last, 607000000)
+        const trade = (await trades.next ()).value[0]
+        equal (trade.id, '21999427')
+        equal (trade.side, 'buy')
+        equal (trade.amount, 0.00289324)
+    })
+
+    it ('keeps trying to reconnect while the server is away', async () => {
+        exchange = createExchange (server)
+        const stream = exchange.watchTicker ('BTC/IDR')
+        await until (() => server.subscribed.length === 1)
+        const port = server.server.address ().port
+        await server.close ()
+        await until (() => exchange.websocket ().attempts >= 2)
+        server = new MockServer ({ 'port': port })
+        await until (() => server.subscribed.length === 1, 5000)
+        server.publish ('market:summary-24h', [ tickerRow (608000000) ], 4)
+        equal ((await stream.next ()).value.last, 608000000)
+    })
+
+    it ('ends the subscriptions when the server refuses to connect', async () => {
+        await server.close ()
+        server = new MockServer ({ 'refuseConnect': true })
+        await server.listening ()
+        exchange = createExchange (server)
+        const stream = exchange.watchTicker ('BTC/IDR')
+        let error = undefined
+        try {
+            await stream.next ()
+        } catch (e) {
+            error = e
+        }
+        equal (error instanceof ExchangeError, true)
+        equal (error.message.indexOf ('token expired') >= 0, true)
+        const client = exchange.websocket ()
+        equal (client.connected, undefined)
+        equal (client.socket, undefined)
+        equal (client.reconnectTimer, undefined)
+        deepEqual (client.subscriptions, {})
+        equal (server.connects, 1)
+    })
+
+    it ('stops listening once every subscription is closed', async () => {
+        exchange = createExchange (server)
+        const stream = exchange.watchTicker ('BTC/IDR')
+        await until (() => server.subscribed.length === 1)
+        const pending = stream.next ()
+        await stream.return ()
+        deepEqual (await pending, { 'value': undefined, 'done': true })
+        equal (exchange.websocket ().socket, undefined)
+    })
+})
+
+/*  ------------------------------------------------------------------------ */